@@ -1,618 +1,1125 @@
-import { MeterProvider, PeriodicExportingMetricReader } from "@opentelemetry/sdk-metrics";
-import { OTLPMetricExporter } from "@opentelemetry/exporter-metrics-otlp-grpc";
+import { MeterProvider, PeriodicExportingMetricReader, InMemoryMetricExporter, AggregationTemporality } from "@opentelemetry/sdk-metrics";
+import { PrometheusExporter } from "@opentelemetry/exporter-prometheus";
+import { LoggerProvider, BatchLogRecordProcessor } from "@opentelemetry/sdk-logs";
+import { ExportResultCode } from "@opentelemetry/core";
 import { Resource } from "@opentelemetry/resources";
 import { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } from "@opentelemetry/semantic-conventions";
-import { readFileSync, writeFileSync, existsSync, readdirSync, statSync } from "fs";
+import { existsSync, mkdirSync, mkdtempSync, readdirSync, readFileSync, statSync, rmSync, cpSync } from "fs";
 import { join } from "path";
-import { hostname, homedir } from "os";
-
-// Auto-detect Claude data directory (works on Mac and Linux)
-const DEFAULT_CLAUDE_DIR = join(homedir(), ".claude");
-const CLAUDE_DATA_DIR = process.env.CLAUDE_DATA_DIR || DEFAULT_CLAUDE_DIR;
-// State files can go to a separate writable dir (useful when CLAUDE_DATA_DIR is read-only)
-const STATE_DIR = process.env.EXPORTER_STATE_DIR || CLAUDE_DATA_DIR;
-const OTEL_ENDPOINT = process.env.OTEL_EXPORTER_OTLP_ENDPOINT || "http://otel-collector:4317";
-const EXPORT_INTERVAL = parseInt(process.env.EXPORT_INTERVAL || "10000", 10);
-const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL || "30000", 10);
-const INSTANCE_ID = process.env.INSTANCE_ID || hostname();
-
-console.log(`Claude Code Metrics Exporter starting...`);
-console.log(`Claude data dir: ${CLAUDE_DATA_DIR}`);
-console.log(`State dir: ${STATE_DIR}`);
-console.log(`OTLP Endpoint: ${OTEL_ENDPOINT}`);
-console.log(`Instance ID: ${INSTANCE_ID}`);
+import { tmpdir, userInfo } from "os";
+import { createCollector } from "./src/collector.js";
+import { createInstruments } from "./src/instruments.js";
+import { startHttpServer } from "./src/http-server.js";
+import { loadPricing } from "./src/pricing.js";
+import { loadBudgetConfig, createBudgetTracker } from "./src/budgets.js";
+import { createExportQueue } from "./src/export-queue.js";
+import { resolveOtlpConfig, createOtlpMetricExporter, createOtlpLogExporter } from "./src/otlp.js";
+import { createEventLog } from "./src/events.js";
+import { loadConfig, diffSettings } from "./src/config.js";
+import { createRedactor, loadProjectAliases } from "./src/redaction.js";
+import { readStatsFile, buildDailyHistory, formatHistoryCsv, exportHistory } from "./src/history.js";
+import { buildReport, buildReportInWorker, formatReportTable, localDate } from "./src/report.js";
+import { createDigestScheduler, previousPeriod, renderDigest, deliverDigest, DIGEST_PERIODS, DIGEST_FORMATS } from "./src/digest.js";
+import { canWatch, watchDataDir } from "./src/watcher.js";
+import { createSource, isArchivePath, hashFile } from "./src/sources.js";
+import { writeFileAtomic } from "./src/state-store.js";
+import { log, configureLogger } from "./src/logger.js";
+import { bindSelfMetrics } from "./src/self-metrics.js";
+
+// Settings come from env vars, overridden by the optional YAML/JSON config file
+// given with --config or EXPORTER_CONFIG (see src/config.js for the full list)
+const args = process.argv.slice(2);
+const configFlag = args.indexOf("--config");
+if (configFlag !== -1 && !args[configFlag + 1]) {
+  console.error("--config needs a file path");
+  process.exit(1);
+}
+const CONFIG_PATH = configFlag !== -1 ? args.splice(configFlag, 2)[1] : process.env.EXPORTER_CONFIG || "";
+
+let config;
+try {
+  config = loadConfig(CONFIG_PATH);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const settings = config.settings;
+
+const CLAUDE_DATA_DIR = settings.claudeDataDir;
+const STATE_DIR = settings.stateDir || CLAUDE_DATA_DIR;
+const EXPORT_INTERVAL = settings.exportInterval;
+const INSTANCE_ID = settings.instanceId;
+const CLAUDE_DATA_ROOTS = settings.claudeDataRoots;
+const ACTIVE_TIME_MODE = settings.activeTimeMode;
+const WATCH_MODE = settings.watchMode;
+const WATCH_DEBOUNCE_MS = settings.watchDebounceMs;
+const USAGE_SOURCE = settings.usageSource;
+const METRICS_EXPORTERS = settings.metricsExporters;
+const HTTP_HOST = settings.httpHost;
+const HTTP_PORT = settings.httpPort || 9464;
+const HTTP_ENABLED = METRICS_EXPORTERS.includes("prometheus") || settings.httpPort !== null;
+const PRICING_FILE = settings.pricingFile;
+const BACKFILL_MODE = settings.backfillMode;
+const EXPORT_QUEUE_MAX_MB = settings.exportQueueMaxMb;
+const EXPORT_QUEUE_MAX_AGE_HOURS = settings.exportQueueMaxAgeHours;
+const BUDGETS_FILE = settings.budgetsFile;
+
+function defaultUser() {
+  if (settings.claudeUser) return settings.claudeUser;
+  try {
+    return userInfo().username;
+  } catch (e) {
+    // No passwd entry for the current uid (common in containers)
+    return "unknown";
+  }
+}
+
+// A root reads a data directory, or a .tar.gz/.zip snapshot of one extracted
+// into its state dir (see src/sources.js)
+function createRoot({ name, user, instance, path, stateDir }) {
+  if (isArchivePath(path) && !settings.stateDir) {
+    throw new Error(`Data root ${path} is an archive: set EXPORTER_STATE_DIR for its extracted copy and state`);
+  }
+  const source = createSource(path, { cacheDir: join(stateDir, ".exporter-source") });
+  return { name, user, instance, dataDir: source.dataDir, stateDir, source };
+}
+
+// Resolve the data roots to collect from, each with its own labels and state dir
+function parseRoots() {
+  if (CLAUDE_DATA_ROOTS.length === 0) {
+    const user = defaultUser();
+    return [createRoot({
+      name: user,
+      user,
+      instance: INSTANCE_ID,
+      path: CLAUDE_DATA_DIR,
+      stateDir: STATE_DIR,
+    })];
+  }
+
+  const roots = [];
+  for (const spec of CLAUDE_DATA_ROOTS) {
+    const match = spec.match(/^([^=@]+)(?:@([^=]+))?=(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid data root "${spec}" (expected user=path or user@instance=path)`);
+    }
+    const [, user, instance, path] = match;
+    const name = instance ? `${user}@${instance}` : user;
+    if (roots.some((root) => root.name === name)) {
+      throw new Error(`Duplicate data root "${name}"`);
+    }
+    roots.push(createRoot({
+      name,
+      user,
+      instance: instance || INSTANCE_ID,
+      path,
+      // Each root keeps its state files in its own subdirectory
+      stateDir: settings.stateDir ? join(settings.stateDir, name) : path,
+    }));
+  }
+  return roots;
+}
+
+let roots;
+let otlpConfig;
+let otlpLogsConfig;
+try {
+  roots = parseRoots();
+  // Transport, endpoint, TLS and temporality from the standard OTEL_EXPORTER_OTLP_* variables
+  otlpConfig = resolveOtlpConfig();
+  otlpLogsConfig = resolveOtlpConfig(process.env, "logs");
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
 
-// Set up OpenTelemetry
 // Use distinct service name to avoid conflicts with Claude Code's native telemetry
 const resource = new Resource({
+  // Extra attributes from the config file (e.g. team, deployment.environment)
+  ...config.resourceAttributes,
   [ATTR_SERVICE_NAME]: "claude-code-stats",
   [ATTR_SERVICE_VERSION]: "1.0.0",
   "service.instance.id": INSTANCE_ID,
 });
 
-const metricExporter = new OTLPMetricExporter({
-  url: OTEL_ENDPOINT,
-});
-
-const meterProvider = new MeterProvider({
-  resource,
-  readers: [
-    new PeriodicExportingMetricReader({
-      exporter: metricExporter,
-      exportIntervalMillis: EXPORT_INTERVAL,
-    }),
-  ],
-});
-
-const meter = meterProvider.getMeter("claude-code-metrics");
-
-// Current metric values (updated by polling)
-let currentMetrics = {
-  sessionCount: 0,
-  messageCount: 0,
-  toolCallCount: 0,
-  tokensByModel: {},      // model -> {input, output, cacheRead, cacheWrite}
-  costByModel: {},        // model -> USD
-  activeSessionCount: 0,
+// One-shot commands run instead of the exporter daemon; "dry-run" goes through
+// the daemon setup below with its output captured instead of exported
+const COMMANDS = {
+  history: runHistoryCommand,
+  report: runReportCommand,
+  state: runStateCommand,
+  import: runImportCommand,
+  digest: runDigestCommand,
 };
+const command = args[0] && !args[0].startsWith("-") ? args[0] : null;
+// Commands (and dry runs) keep stdout for their own output
+configureLogger({ level: settings.logLevel, format: settings.logFormat, stderrOnly: command !== null });
+// Archive roots are extracted (again, if the archive changed) before anything reads them
+try {
+  for (const root of roots) {
+    root.source.refresh();
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+if (command && command !== "dry-run") {
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}"`);
+    console.error("Usage: node index.js [--config FILE] [history|report|dry-run|state|import|digest] [options]");
+    process.exit(1);
+  }
+  await COMMANDS[command](args.slice(1));
+  // A command that failed after writing output sets process.exitCode instead of exiting
+  await exitAfterOutput(process.exitCode || 0);
+}
+const DRY_RUN = command === "dry-run";
+const dryRunFormat = DRY_RUN ? commandOption(args, "format", "text") : null;
+if (DRY_RUN) {
+  if (!["text", "json"].includes(dryRunFormat)) {
+    console.error(`Unknown format "${dryRunFormat}" (expected text or json)`);
+    process.exit(1);
+  }
+}
 
-// Active time tracking - cumulative counter (monotonically increasing)
-let lastPollTime = null;
-let wasActiveLastPoll = false;
-let cumulativeActiveTimeSeconds = 0; // Total ever, persisted
-let previousActiveTimeSeconds = 0; // For calculating counter deltas
-
-// Persistence file for active time (survives restarts)
-const ACTIVE_TIME_FILE = join(STATE_DIR, ".exporter-active-time.json");
+log.info(`Claude Code Metrics Exporter starting...`);
+if (CONFIG_PATH) {
+  log.info(`Config file: ${CONFIG_PATH}`);
+}
+log.info(`Metrics exporters: ${METRICS_EXPORTERS.join(", ")}`);
+if (METRICS_EXPORTERS.includes("otlp")) {
+  log.info(`OTLP Endpoint: ${otlpConfig.url} (${otlpConfig.protocol}, ${otlpConfig.temporality} temporality)`);
+}
+log.info(`Instance ID: ${INSTANCE_ID}`);
+log.info(`Usage source: ${USAGE_SOURCE}`);
+log.info(`Watch mode: ${WATCH_MODE}`);
 
-// Persistence file for seen conversations (for time-range aware counting)
-const SEEN_CONVERSATIONS_FILE = join(STATE_DIR, ".exporter-seen-conversations.json");
-let seenConversationIds = new Set();
+// Set up OpenTelemetry
+// Last successful poll/export, reported by /healthz
+const health = {
+  lastPollTime: null,
+  lastPollError: null,
+  lastExportTime: null,
+  lastExportError: null,
+};
 
-function loadActiveTimeState() {
-  try {
-    if (existsSync(ACTIVE_TIME_FILE)) {
-      const content = readFileSync(ACTIVE_TIME_FILE, "utf8");
-      const state = JSON.parse(content);
-      cumulativeActiveTimeSeconds = state.cumulativeSeconds || 0;
-      lastPollTime = state.lastPollTime || null;
-      console.log(`Loaded cumulative active time: ${cumulativeActiveTimeSeconds}s`);
-    }
-  } catch (e) {
-    console.log(`Could not load active time state: ${e.message}`);
-  }
-  // Initialize the counter's previous value to match loaded state
-  // This will be set properly after the meter is created
+// Record the outcome of every push so /healthz can report it
+function trackExportResults(exporter) {
+  const originalExport = exporter.export.bind(exporter);
+  exporter.export = (metrics, resultCallback) => {
+    originalExport(metrics, (result) => {
+      if (result.code === ExportResultCode.SUCCESS) {
+        health.lastExportTime = new Date().toISOString();
+        health.lastExportError = null;
+      } else {
+        health.lastExportError = result.error ? result.error.message : "export failed";
+      }
+      resultCallback(result);
+    });
+  };
+  return exporter;
 }
 
-function saveActiveTimeState() {
+function createMetricExporter() {
   try {
-    writeFileSync(ACTIVE_TIME_FILE, JSON.stringify({ 
-      cumulativeSeconds: cumulativeActiveTimeSeconds,
-      lastPollTime: lastPollTime
-    }), "utf8");
+    return createOtlpMetricExporter(otlpConfig);
   } catch (e) {
-    console.error(`Failed to save active time state: ${e.message}`);
+    console.error(e.message);
+    process.exit(1);
   }
 }
 
-function loadSeenConversations() {
+function createLogExporter() {
   try {
-    if (existsSync(SEEN_CONVERSATIONS_FILE)) {
-      const content = readFileSync(SEEN_CONVERSATIONS_FILE, "utf8");
-      const state = JSON.parse(content);
-      seenConversationIds = new Set(state.ids || []);
-      console.log(`Loaded ${seenConversationIds.size} seen conversation IDs`);
-    }
+    return createOtlpLogExporter(otlpLogsConfig);
   } catch (e) {
-    console.log(`Could not load seen conversations: ${e.message}`);
+    console.error(e.message);
+    process.exit(1);
   }
 }
 
-function saveSeenConversations() {
-  try {
-    writeFileSync(SEEN_CONVERSATIONS_FILE, JSON.stringify({ 
-      ids: Array.from(seenConversationIds),
-      lastUpdated: new Date().toISOString()
-    }), "utf8");
-  } catch (e) {
-    console.error(`Failed to save seen conversations: ${e.message}`);
-  }
+// Collector options from the settings. exportHistory is set when the first run
+// should push daily history instead of adding the totals.
+function buildCollectorOptions({ pricing, exportHistory = null, onUsage = null, activeTimeMode = ACTIVE_TIME_MODE }) {
+  return {
+    usageSource: USAGE_SOURCE,
+    activeSessionHours: settings.activeSessionHours,
+    activeTimeMode,
+    idleThresholdSeconds: settings.activeIdleThreshold,
+    sessionTimeoutSeconds: settings.sessionTimeoutMinutes * 60,
+    cacheRatioWindowHours: settings.cacheRatioWindowHours,
+    pricing,
+    exportHistory,
+    onUsage,
+    projects: {
+      allow: settings.projectAllowlist,
+      deny: settings.projectDenylist,
+      topN: settings.projectTopN,
+      gitBranch: settings.projectGitBranch,
+    },
+    sessionIdAttribute: settings.sessionIdAttribute,
+  };
 }
 
-function updateActiveTime(hasActiveSessions) {
-  const now = Date.now();
-  
-  // If active and we have a previous poll time, add the delta
-  if (hasActiveSessions && wasActiveLastPoll && lastPollTime !== null) {
-    const deltaSeconds = Math.round((now - lastPollTime) / 1000);
-    if (deltaSeconds > 0) {
-      cumulativeActiveTimeSeconds += deltaSeconds;
-      console.log(`Active time: +${deltaSeconds}s (total: ${cumulativeActiveTimeSeconds}s)`);
-    }
-  }
-  
-  wasActiveLastPoll = hasActiveSessions;
-  lastPollTime = now;
-  
-  // Save state periodically
-  saveActiveTimeState();
+// Exit once stdout and stderr are flushed: process.exit right after a write
+// cuts off whatever a pipe hasn't taken yet
+async function exitAfterOutput(code) {
+  process.exitCode = code;
+  await Promise.all([process.stdout, process.stderr].map((stream) =>
+    new Promise((resolve) => stream.write("", resolve))));
+  process.exit(code);
 }
 
-// Counters for cumulative metrics - use "stats" prefix to avoid conflicts with native telemetry
-const sessionCounter = meter.createCounter("claude.code.stats.session.count", {
-  description: "Total count of Claude Code sessions (from stats cache)",
-  unit: "1",
-});
+// Value following --name in a command's arguments
+function commandOption(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
 
-const messageCounter = meter.createCounter("claude.code.stats.message.count", {
-  description: "Total count of messages (from stats cache)",
-  unit: "1",
-});
+/**
+ * `node index.js history [--format json|csv|otlp] [--since YYYY-MM-DD]`
+ *
+ * Dump the stats-cache daily activity of every root, or push it over OTLP as
+ * points stamped with their real dates.
+ */
+async function runHistoryCommand(args) {
+  const format = commandOption(args, "format", "json");
+  const since = commandOption(args, "since", null);
 
-const toolCallCounter = meter.createCounter("claude.code.stats.tool.usage", {
-  description: "Total count of tool calls (from stats cache)",
-  unit: "1",
-});
+  if (!["json", "csv", "otlp"].includes(format)) {
+    console.error(`Unknown format "${format}" (expected json, csv or otlp)`);
+    process.exit(1);
+  }
 
-const tokenCounter = meter.createCounter("claude.code.stats.token.usage", {
-  description: "Token usage by type and model (from stats cache)",
-  unit: "tokens",
-});
+  const histories = [];
+  for (const root of roots) {
+    let stats;
+    try {
+      stats = readStatsFile(root.dataDir);
+    } catch (e) {
+      console.error(`Error reading stats cache in ${root.dataDir}: ${e.message}`);
+      process.exit(1);
+    }
+    histories.push({ root, days: buildDailyHistory(stats, since) });
+  }
 
-const costCounter = meter.createCounter("claude.code.stats.cost.usage", {
-  description: "Cost in USD by model (from stats cache)",
-  unit: "USD",
-});
+  if (format === "json") {
+    process.stdout.write(JSON.stringify(histories.map(({ root, days }) => ({
+      user: root.user,
+      instance: root.instance,
+      days,
+    })), null, 2) + "\n");
+  } else if (format === "csv") {
+    histories.forEach(({ root, days }, index) => {
+      const csv = formatHistoryCsv(days, { user: root.user, instance: root.instance });
+      // Header only once
+      process.stdout.write(index === 0 ? csv : csv.slice(csv.indexOf("\n") + 1));
+    });
+  } else {
+    const exporter = createMetricExporter();
+    try {
+      for (const { root, days } of histories) {
+        const count = await exportHistory(exporter, resource, days, { source: root.instance, user: root.user });
+        console.error(`Exported ${count} days of history for ${root.name} to ${otlpConfig.url}`);
+      }
+    } catch (e) {
+      console.error(`History export failed: ${e.message}`);
+      process.exitCode = 1;
+    } finally {
+      await exporter.shutdown();
+    }
+  }
+}
 
-// Gauges for point-in-time values - use "stats" prefix to avoid conflicts
-const activeSessionsGauge = meter.createObservableGauge("claude.code.stats.session.active", {
-  description: "Number of active sessions (from stats cache)",
-  unit: "1",
-});
+/**
+ * `node index.js report [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--format table|json]`
+ *
+ * Print tokens, estimated cost, sessions and active time per model and project
+ * for every root, from the transcripts and stats cache (last 7 days by default).
+ */
+async function runReportCommand(args) {
+  const until = commandOption(args, "until", localDate(Date.now()));
+  const since = commandOption(args, "since", localDate(Date.parse(`${until}T00:00:00`) - 6 * 24 * 60 * 60 * 1000));
+  const format = commandOption(args, "format", "table");
 
-const sessionInfoGauge = meter.createObservableGauge("claude.code.stats.session.info", {
-  description: "Active session information with metadata (from stats cache)",
-  unit: "1",
-});
+  if (!["table", "json"].includes(format)) {
+    console.error(`Unknown format "${format}" (expected table or json)`);
+    process.exit(1);
+  }
+  if (![since, until].every((date) => /^\d{4}-\d{2}-\d{2}$/.test(date)) || since > until) {
+    console.error("--since and --until must be dates (YYYY-MM-DD), since <= until");
+    process.exit(1);
+  }
 
-const activeTimeCounter = meter.createCounter("claude.code.stats.active.time", {
-  description: "Cumulative active time (from stats cache)",
-  unit: "s",
-});
+  const reportPricing = loadPricing(PRICING_FILE);
+  const reports = roots.map((root) => {
+    let stats = null;
+    try {
+      stats = readStatsFile(root.dataDir);
+    } catch (e) {
+      console.error(`Error reading stats cache in ${root.dataDir}: ${e.message}`);
+    }
+    return {
+      root,
+      report: buildReport({
+        dataDir: root.dataDir,
+        stats,
+        from: since,
+        to: until,
+        pricing: reportPricing,
+        idleThresholdSeconds: settings.activeIdleThreshold,
+        sessionTimeoutSeconds: settings.sessionTimeoutMinutes * 60,
+      }),
+    };
+  });
 
-const conversationCounter = meter.createCounter("claude.code.stats.conversation.count", {
-  description: "Total count of Claude Code conversations (from project directories)",
-  unit: "1",
-});
+  if (format === "json") {
+    process.stdout.write(JSON.stringify(reports.map(({ root, report }) => ({
+      user: root.user,
+      instance: root.instance,
+      ...report,
+    })), null, 2) + "\n");
+  } else {
+    process.stdout.write(reports
+      .map(({ root, report }) => formatReportTable(report, `${root.name} (${root.dataDir})`))
+      .join("\n"));
+  }
+}
 
-// Track previous values to calculate deltas
-let previousMetrics = {
-  sessionCount: 0,
-  messageCount: 0,
-  toolCallCount: 0,
-  tokensByModel: {},  // model -> {input, output, cacheRead, cacheWrite}
-  costByModel: {},    // model -> USD
-  conversationCount: 0,
-  initialized: false,
-};
+// Render the digest of every root for a period ({ from, to }, local dates),
+// with project and session fields passed through redact.
+//
+// The transcripts are read again rather than taken from the collectors: those
+// keep cumulative counters and the open sessions, not the per-day breakdown by
+// project, session and hour a past week or month needs, and the digest command
+// runs without any collector. The reports are built one root at a time on a
+// worker thread, so a scheduled digest doesn't stall the exporter.
+async function buildDigests(range, { period, format, pricing, redact }) {
+  const digests = [];
+  for (const root of roots) {
+    let stats = null;
+    try {
+      stats = readStatsFile(root.dataDir);
+    } catch (e) {
+      log.warn(`Error reading stats cache in ${root.dataDir}: ${e.message}`);
+    }
+    const report = await buildReportInWorker({
+      dataDir: root.dataDir,
+      stats,
+      ...range,
+      pricing,
+      idleThresholdSeconds: settings.activeIdleThreshold,
+      sessionTimeoutSeconds: settings.sessionTimeoutMinutes * 60,
+    });
+    digests.push({
+      name: root.name,
+      user: root.user,
+      instance: root.instance,
+      period,
+      format,
+      ...range,
+      text: renderDigest(report, { title: root.name, format, redact }),
+    });
+  }
+  return digests;
+}
 
-// Track active sessions for info gauge
-let activeSessions = []; // Array of {sessionId, title, project, modified}
+/**
+ * `node index.js digest [--period weekly|monthly] [--format markdown|html] [--send]`
+ *
+ * Print the digest of the previous week or month for every root, or with
+ * --send deliver it to DIGEST_DIR / DIGEST_WEBHOOK_URL as the schedule would.
+ */
+async function runDigestCommand(args) {
+  const period = commandOption(args, "period", settings.digestPeriod);
+  const format = commandOption(args, "format", settings.digestFormat);
+  if (!DIGEST_PERIODS.includes(period)) {
+    console.error(`Unknown period "${period}" (expected ${DIGEST_PERIODS.join(" or ")})`);
+    process.exit(1);
+  }
+  if (!DIGEST_FORMATS.includes(format)) {
+    console.error(`Unknown format "${format}" (expected ${DIGEST_FORMATS.join(" or ")})`);
+    process.exit(1);
+  }
 
-// Track total conversations (all .jsonl files in projects dir)
-let totalConversations = 0;
+  let redact;
+  try {
+    redact = buildRedactor(config);
+  } catch (e) {
+    console.error(`Could not load project aliases: ${e.message}`);
+    process.exit(1);
+  }
 
-// Register callbacks for gauges only (counters are updated directly in updateMetrics)
-meter.addBatchObservableCallback(
-  (batchObservableResult) => {
-    // Report active sessions count
-    batchObservableResult.observe(activeSessionsGauge, currentMetrics.activeSessionCount, {
-      source: INSTANCE_ID,
-    });
-    
-    // Report active session info
-    for (const session of activeSessions) {
-      batchObservableResult.observe(sessionInfoGauge, 1, {
-        session_id: session.sessionId,
-        title: session.title || "",
-        directory: session.project || "",
-        source: INSTANCE_ID,
-      });
+  const digests = await buildDigests(previousPeriod(period), { period, format, pricing: loadPricing(PRICING_FILE), redact });
+  if (!args.includes("--send")) {
+    process.stdout.write(digests.map((digest) => digest.text).join("\n"));
+    return;
+  }
+  if (!settings.digestDir && !settings.digestWebhookUrl) {
+    console.error("--send needs DIGEST_DIR or DIGEST_WEBHOOK_URL");
+    process.exit(1);
+  }
+  for (const digest of digests) {
+    try {
+      await deliverDigest(digest, { dir: settings.digestDir, webhookUrl: settings.digestWebhookUrl });
+    } catch (e) {
+      console.error(`Could not deliver the digest for ${digest.name}: ${e.message}`);
+      process.exit(1);
     }
-  },
-  [activeSessionsGauge, sessionInfoGauge]
-);
-
-function readStatsCache() {
-  const statsPath = join(CLAUDE_DATA_DIR, "stats-cache.json");
-  
-  if (!existsSync(statsPath)) {
-    console.log(`Stats file not found: ${statsPath}`);
-    return null;
+    console.log(`Delivered the ${period} digest for ${digest.name} (${digest.from} to ${digest.to})`);
   }
-  
+}
+
+// Exporter state files in a state dir: [{ name, path, isQueue }]
+function listStateFiles(dir) {
   try {
-    const content = readFileSync(statsPath, "utf8");
-    return JSON.parse(content);
-  } catch (error) {
-    console.error(`Error reading stats cache: ${error.message}`);
-    return null;
+    return readdirSync(dir)
+      .filter((name) => name.startsWith(".exporter-"))
+      .map((name) => ({
+        name,
+        path: join(dir, name),
+        isQueue: name === ".exporter-queue",
+        // An archive root's extracted copy (see src/sources.js)
+        isSource: name === ".exporter-source",
+      }));
+  } catch (e) {
+    return [];
   }
 }
 
-const ACTIVE_SESSION_HOURS = parseInt(process.env.ACTIVE_SESSION_HOURS || "1", 10);
+// One-line overview of a state file's top-level fields
+function summarizeStateFile(file) {
+  if (file.isQueue) {
+    return `${readdirSync(file.path).length} queued batches`;
+  }
+  if (file.isSource) {
+    const marker = JSON.parse(readFileSync(join(file.path, "source.json"), "utf8"));
+    return `extracted from ${marker.archive} at ${marker.extractedAt}`;
+  }
+  const state = JSON.parse(readFileSync(file.path, "utf8"));
+  return Object.entries(state).map(([key, value]) => {
+    if (Array.isArray(value)) return `${key}: ${value.length} items`;
+    if (value && typeof value === "object") return `${key}: ${Object.keys(value).length} entries`;
+    return `${key}: ${value}`;
+  }).join(", ");
+}
 
-function scanConversations() {
-  // Scan all .jsonl files in ~/.claude/projects/
-  // Returns { total, newIds } where newIds are conversations we haven't seen before
-  const projectsDir = join(CLAUDE_DATA_DIR, "projects");
-  if (!existsSync(projectsDir)) return { total: 0, newIds: [] };
-  
-  const allIds = [];
-  const newIds = [];
-  
-  try {
-    const projects = readdirSync(projectsDir);
-    for (const project of projects) {
-      const projectPath = join(projectsDir, project);
-      
-      try {
-        if (!statSync(projectPath).isDirectory()) continue;
-        
-        const files = readdirSync(projectPath);
-        for (const file of files) {
-          if (file.endsWith(".jsonl")) {
-            const conversationId = `${project}/${file}`;
-            allIds.push(conversationId);
-            
-            if (!seenConversationIds.has(conversationId)) {
-              newIds.push(conversationId);
-            }
-          }
+/**
+ * `node index.js state [show|reset] [--root NAME] [--file NAME] [--format text|json] [--yes]`
+ *
+ * Show the .exporter-* state files of every root, or delete them (all, or one
+ * by name, e.g. --file budgets). Stop the exporter before a reset.
+ */
+async function runStateCommand(args) {
+  const action = args[0] && !args[0].startsWith("-") ? args[0] : "show";
+  const rootName = commandOption(args, "root", null);
+  const fileName = commandOption(args, "file", null);
+  const format = commandOption(args, "format", "text");
+
+  if (!["show", "reset"].includes(action)) {
+    console.error(`Unknown state action "${action}" (expected show or reset)`);
+    process.exit(1);
+  }
+  const selectedRoots = rootName ? roots.filter((root) => root.name === rootName) : roots;
+  if (selectedRoots.length === 0) {
+    console.error(`Unknown root "${rootName}" (have ${roots.map((root) => root.name).join(", ")})`);
+    process.exit(1);
+  }
+
+  // Budget windows and the export queue live in the shared state dir
+  const dirs = [...new Set([...(rootName ? [] : [STATE_DIR]), ...selectedRoots.map((root) => root.stateDir)])];
+  const matchesFile = (file) => !fileName ||
+    file.name === fileName || file.name.replace(/^\.exporter-/, "").replace(/\.json$/, "") === fileName;
+  const files = dirs.flatMap((dir) => listStateFiles(dir)).filter(matchesFile);
+
+  if (action === "show") {
+    if (format === "json") {
+      const contents = {};
+      for (const file of files) {
+        if (file.isQueue) {
+          contents[file.path] = { batches: readdirSync(file.path).length };
+        } else if (file.isSource) {
+          contents[file.path] = JSON.parse(readFileSync(join(file.path, "source.json"), "utf8"));
+        } else {
+          contents[file.path] = JSON.parse(readFileSync(file.path, "utf8"));
         }
-      } catch (e) {
-        // Skip directories we can't read
       }
+      process.stdout.write(JSON.stringify(contents, null, 2) + "\n");
+      return;
     }
-  } catch (error) {
-    console.error(`Error scanning conversations: ${error.message}`);
-  }
-  
-  return { total: allIds.length, newIds };
-}
-
-function getActiveSessions() {
-  // Read sessions from project directories
-  // Check actual file modification times (not just index timestamps)
-  const projectsDir = join(CLAUDE_DATA_DIR, "projects");
-  if (!existsSync(projectsDir)) return [];
-  
-  const activeWindowMs = ACTIVE_SESSION_HOURS * 60 * 60 * 1000;
-  const cutoffTime = Date.now() - activeWindowMs;
-  const sessions = [];
-  
-  try {
-    const projects = readdirSync(projectsDir);
-    for (const project of projects) {
-      const projectPath = join(projectsDir, project);
-      
-      // Skip if not a directory
-      try {
-        if (!statSync(projectPath).isDirectory()) continue;
-      } catch (e) {
-        continue;
-      }
-      
-      // Build session info from index if available
-      const indexPath = join(projectPath, "sessions-index.json");
-      let sessionIndex = {};
-      
-      if (existsSync(indexPath)) {
-        try {
-          const content = readFileSync(indexPath, "utf8");
-          const index = JSON.parse(content);
-          if (index.entries && Array.isArray(index.entries)) {
-            for (const entry of index.entries) {
-              sessionIndex[entry.sessionId] = entry;
-            }
-          }
-        } catch (e) {
-          // Index unreadable, continue without it
-        }
-      }
-      
-      // Scan for .jsonl files and check actual modification times
+    if (files.length === 0) {
+      console.log(`No state files in ${dirs.join(", ")}`);
+    }
+    for (const file of files) {
+      const stats = statSync(file.path);
+      let summary;
       try {
-        const files = readdirSync(projectPath);
-        for (const file of files) {
-          if (!file.endsWith(".jsonl")) continue;
-          
-          const filePath = join(projectPath, file);
-          const sessionId = file.replace(".jsonl", "");
-          
-          try {
-            const fileStat = statSync(filePath);
-            const fileModifiedTime = fileStat.mtimeMs;
-            
-            if (fileModifiedTime > cutoffTime) {
-              const indexEntry = sessionIndex[sessionId] || {};
-              sessions.push({
-                sessionId: sessionId,
-                title: indexEntry.firstPrompt ? indexEntry.firstPrompt.slice(0, 100) : "",
-                project: indexEntry.projectPath || project.replace(/-/g, "/").replace(/^\//, ""),
-                modified: new Date(fileModifiedTime).toISOString(),
-                messageCount: indexEntry.messageCount || 0,
-              });
-            }
-          } catch (e) {
-            // Skip files we can't stat
-          }
-        }
+        summary = summarizeStateFile(file);
       } catch (e) {
-        // Skip directories we can't read
+        summary = `unreadable: ${e.message}`;
       }
+      console.log(`${file.path}\n  ${stats.isDirectory() ? "dir" : `${stats.size} bytes`}, modified ${stats.mtime.toISOString()}\n  ${summary}`);
     }
-  } catch (error) {
-    console.error(`Error reading active sessions: ${error.message}`);
+    return;
   }
-  
-  // Sort by most recently modified
-  sessions.sort((a, b) => new Date(b.modified) - new Date(a.modified));
-  
-  return sessions;
-}
 
-function updateMetrics() {
-  const stats = readStatsCache();
-  
-  if (!stats) {
-    console.log("No stats available");
+  if (files.length === 0) {
+    console.log("Nothing to reset");
     return;
   }
-  
-  // Read current values from stats
-  const newSessionCount = stats.totalSessions || 0;
-  const newMessageCount = stats.totalMessages || 0;
-  
-  // Calculate total tool calls from daily activity
-  let newToolCallCount = 0;
-  if (stats.dailyActivity) {
-    for (const day of stats.dailyActivity) {
-      newToolCallCount += day.toolCallCount || 0;
-    }
+  if (!args.includes("--yes")) {
+    console.log(`Would remove:\n  ${files.map((file) => file.path).join("\n  ")}`);
+    console.log("Stop the exporter first, then run again with --yes to delete them.");
+    return;
   }
-  
-  // Scan conversations - find new ones we haven't seen before
-  const { total: totalConversationCount, newIds: newConversationIds } = scanConversations();
-  
-  // Build new token/cost maps
-  const newTokensByModel = {};
-  const newCostByModel = {};
-  
-  if (stats.modelUsage) {
-    for (const [model, usage] of Object.entries(stats.modelUsage)) {
-      newTokensByModel[model] = {
-        input: usage.inputTokens || 0,
-        output: usage.outputTokens || 0,
-        cacheRead: usage.cacheReadInputTokens || 0,
-        cacheWrite: usage.cacheCreationInputTokens || 0,
-      };
-      
-      if (usage.costUSD > 0) {
-        newCostByModel[model] = usage.costUSD;
-      }
-    }
+  for (const file of files) {
+    rmSync(file.path, { recursive: true, force: true });
+    console.log(`Removed ${file.path}`);
   }
-  
-  // On first run, initialize counters with current totals (backfill)
-  if (!previousMetrics.initialized) {
-    console.log("Initializing counters with current totals (backfill)...");
-    
-    // Add initial totals to counters
-    if (newSessionCount > 0) {
-      sessionCounter.add(newSessionCount, { source: INSTANCE_ID });
-    }
-    if (newMessageCount > 0) {
-      messageCounter.add(newMessageCount, { source: INSTANCE_ID });
-    }
-    if (newToolCallCount > 0) {
-      toolCallCounter.add(newToolCallCount, { source: INSTANCE_ID });
-    }
-    
-    // Add initial tokens
-    for (const [model, tokens] of Object.entries(newTokensByModel)) {
-      if (tokens.input > 0) {
-        tokenCounter.add(tokens.input, { type: "input", model, source: INSTANCE_ID });
-      }
-      if (tokens.output > 0) {
-        tokenCounter.add(tokens.output, { type: "output", model, source: INSTANCE_ID });
-      }
-      if (tokens.cacheRead > 0) {
-        tokenCounter.add(tokens.cacheRead, { type: "cacheRead", model, source: INSTANCE_ID });
-      }
-      if (tokens.cacheWrite > 0) {
-        tokenCounter.add(tokens.cacheWrite, { type: "cacheCreation", model, source: INSTANCE_ID });
-      }
-    }
-    
-    // Add initial costs
-    for (const [model, cost] of Object.entries(newCostByModel)) {
-      if (cost > 0) {
-        costCounter.add(cost, { model, source: INSTANCE_ID });
+}
+
+/**
+ * `node index.js import ARCHIVE --root USER@INSTANCE`
+ *
+ * Fold a .tar.gz/.zip snapshot of a ~/.claude folder (from a machine that can't
+ * run the exporter) into the metrics, pushed once over OTLP. Every USER@INSTANCE
+ * keeps its own state under <state dir>/imports, so a later snapshot of the same
+ * machine only adds what is new since the last one, and an archive that was
+ * already imported is skipped.
+ */
+async function runImportCommand(args) {
+  const archive = args[0] && !args[0].startsWith("-") ? args[0] : null;
+  const rootName = commandOption(args, "root", "");
+  const match = rootName.match(/^([^=@]+)@([^=@]+)$/);
+  if (!archive || !isArchivePath(archive) || !match) {
+    console.error("Usage: node index.js import ARCHIVE.tar.gz|ARCHIVE.zip --root USER@INSTANCE");
+    process.exit(1);
+  }
+  const [, user, instance] = match;
+  const stateDir = join(STATE_DIR, "imports", rootName);
+  mkdirSync(stateDir, { recursive: true });
+
+  // Archives already folded in, by content hash
+  const importsFile = join(stateDir, ".exporter-imports.json");
+  let imports;
+  let hash;
+  try {
+    imports = existsSync(importsFile) ? JSON.parse(readFileSync(importsFile, "utf8")) : { archives: {} };
+    hash = hashFile(archive);
+  } catch (e) {
+    console.error(`Could not read ${e.path || importsFile}: ${e.message}`);
+    process.exit(1);
+  }
+  if (imports.archives[hash]) {
+    console.log(`${archive} was already imported for ${rootName} (${imports.archives[hash].importedAt}), skipping`);
+    return;
+  }
+
+  // The collector works on a copy of the state that replaces the real one only
+  // once the export went through, so a failed import can simply be run again
+  const workDir = mkdtempSync(join(tmpdir(), "claude-exporter-import-"));
+  for (const file of listStateFiles(stateDir)) {
+    if (!file.isSource) cpSync(file.path, join(workDir, file.name), { recursive: true });
+  }
+  const source = createSource(archive, { cacheDir: join(stateDir, ".exporter-source") });
+
+  // The push counts only if the exporter reported success (failures are logged,
+  // not thrown). The reader skips the export when there are no data points.
+  const exporter = createMetricExporter();
+  let exportCalled = false;
+  let exported = false;
+  let exportError = null;
+  const originalExport = exporter.export.bind(exporter);
+  exporter.export = (metrics, resultCallback) => {
+    exportCalled = true;
+    originalExport(metrics, (result) => {
+      if (result.code === ExportResultCode.SUCCESS) {
+        exported = true;
+      } else {
+        exportError = result.error ? result.error.message : "export failed";
       }
+      resultCallback(result);
+    });
+  };
+  const reader = new PeriodicExportingMetricReader({
+    exporter,
+    // Only flushed by hand
+    exportIntervalMillis: 2 ** 31 - 1,
+  });
+  const importMeterProvider = new MeterProvider({ resource, readers: [reader] });
+
+  let history = null;
+  try {
+    const importPolicy = {
+      enabled: (name) => config.metrics[name] !== false,
+      redact: buildRedactor(config),
+    };
+    const collector = createCollector({
+      root: { name: rootName, user, instance, dataDir: source.dataDir, stateDir: workDir, source },
+      instruments: createInstruments(importMeterProvider.getMeter("claude-code-metrics"), importPolicy),
+      options: buildCollectorOptions({
+        pricing: loadPricing(PRICING_FILE),
+        exportHistory: BACKFILL_MODE === "history"
+          ? (stats, attributes) => {
+            history = exportHistory(exporter, resource, buildDailyHistory(stats), attributes);
+          }
+          : null,
+        // A snapshot has no wall-clock activity to sample, only transcript timestamps
+        activeTimeMode: "idle-gap",
+      }),
+    });
+    source.refresh();
+    collector.load();
+    collector.update();
+    if (history) {
+      const days = await history;
+      console.error(`Backfilled ${days} days of history`);
     }
-    
-    // Backfill active time counter with historical cumulative value
-    if (cumulativeActiveTimeSeconds > 0) {
-      activeTimeCounter.add(cumulativeActiveTimeSeconds, { source: INSTANCE_ID });
-      previousActiveTimeSeconds = cumulativeActiveTimeSeconds;
-      console.log(`Backfilled active time: ${cumulativeActiveTimeSeconds}s`);
+    await importMeterProvider.forceFlush();
+    if (exportError || (exportCalled && !exported)) {
+      throw new Error(`export to ${otlpConfig.url} failed: ${exportError || "timed out"}`);
     }
-    
-    // For conversations: DON'T backfill - just mark existing ones as seen
-    // This ensures only NEW conversations (created after exporter starts) are counted
-    // which makes Grafana time range filtering work correctly
-    if (newConversationIds.length > 0) {
-      for (const id of newConversationIds) {
-        seenConversationIds.add(id);
-      }
-      saveSeenConversations();
-      console.log(`Marked ${newConversationIds.length} existing conversations as seen (not backfilled)`);
+  } catch (e) {
+    console.error(`Import of ${archive} failed, nothing was recorded: ${e.message}`);
+    rmSync(workDir, { recursive: true, force: true });
+    process.exit(1);
+  } finally {
+    await importMeterProvider.shutdown();
+  }
+
+  for (const file of listStateFiles(workDir)) {
+    cpSync(file.path, join(stateDir, file.name), { recursive: true });
+  }
+  rmSync(workDir, { recursive: true, force: true });
+  imports.archives[hash] = { archive, importedAt: new Date().toISOString() };
+  writeFileAtomic(importsFile, JSON.stringify(imports, null, 2));
+  if (exportCalled) {
+    console.log(`Imported ${archive} for ${rootName} to ${otlpConfig.url}`);
+  } else {
+    console.log(`Nothing new in ${archive} for ${rootName}, recorded it as imported`);
+  }
+}
+
+const readers = [];
+let metricExporter = null;
+let exportQueue = null;
+
+// A dry run only collects in memory and prints what would have been exported
+let dryRunExporter = null;
+let dryRunReader = null;
+if (DRY_RUN) {
+  dryRunExporter = new InMemoryMetricExporter(AggregationTemporality.CUMULATIVE);
+  dryRunReader = new PeriodicExportingMetricReader({
+    exporter: dryRunExporter,
+    // Only flushed by hand
+    exportIntervalMillis: 2 ** 31 - 1,
+  });
+  readers.push(dryRunReader);
+}
+
+if (METRICS_EXPORTERS.includes("otlp") && !DRY_RUN) {
+  metricExporter = createMetricExporter();
+  if (EXPORT_QUEUE_MAX_MB > 0) {
+    exportQueue = createExportQueue({
+      dir: join(STATE_DIR, ".exporter-queue"),
+      maxBytes: EXPORT_QUEUE_MAX_MB * 1024 * 1024,
+      maxAgeMs: EXPORT_QUEUE_MAX_AGE_HOURS * 60 * 60 * 1000,
+    });
+    exportQueue.load();
+    exportQueue.attach(metricExporter);
+  }
+  // Outside the queue, so /healthz sees whether the backlog was delivered
+  trackExportResults(metricExporter);
+  readers.push(new PeriodicExportingMetricReader({
+    exporter: metricExporter,
+    exportIntervalMillis: EXPORT_INTERVAL,
+  }));
+}
+
+// Served from our own HTTP server so /healthz can live next to /metrics
+const prometheusExporter = METRICS_EXPORTERS.includes("prometheus") && !DRY_RUN
+  ? new PrometheusExporter({ preventServerStart: true })
+  : null;
+if (prometheusExporter) {
+  readers.push(prometheusExporter);
+}
+
+const meterProvider = new MeterProvider({
+  resource,
+  readers,
+});
+
+const meter = meterProvider.getMeter("claude-code-metrics");
+
+// A dry run works on a copy of the state, so the real exporter's baselines are untouched
+const dryRunStateDirs = [];
+if (DRY_RUN) {
+  for (const root of roots) {
+    const copy = mkdtempSync(join(tmpdir(), "claude-exporter-dry-run-"));
+    for (const file of listStateFiles(root.stateDir)) {
+      if (!file.isQueue && !file.isSource) cpSync(file.path, join(copy, file.name));
     }
-    console.log(`Total conversations on disk: ${totalConversationCount}`);
-    
-    // Store as previous
-    previousMetrics = {
-      sessionCount: newSessionCount,
-      messageCount: newMessageCount,
-      toolCallCount: newToolCallCount,
-      tokensByModel: JSON.parse(JSON.stringify(newTokensByModel)),
-      costByModel: JSON.parse(JSON.stringify(newCostByModel)),
-      initialized: true,
+    root.stateDir = copy;
+    dryRunStateDirs.push(copy);
+  }
+}
+
+for (const root of roots) {
+  log.info(`Claude data dir: ${root.dataDir} (user ${root.user}, instance ${root.instance}, state dir ${root.stateDir})`);
+  try {
+    mkdirSync(root.stateDir, { recursive: true });
+  } catch (e) {
+    log.error(`Could not create state dir ${root.stateDir}: ${e.message}`);
+  }
+}
+
+// Project aliases, then the config's redaction rules, for every exported attribute
+function buildRedactor(current) {
+  const aliasesFile = current.settings.projectAliasesFile;
+  return createRedactor(current.redaction, {
+    salt: current.settings.redactionSalt,
+    aliases: aliasesFile ? loadProjectAliases(aliasesFile) : [],
+  });
+}
+
+// Metric toggles and attribute redaction from the config file, swapped on reload
+const policy = {
+  enabled: (name) => config.metrics[name] !== false,
+  redact: null,
+};
+try {
+  policy.redact = buildRedactor(config);
+} catch (e) {
+  log.error(`Could not load project aliases: ${e.message}`);
+  process.exit(1);
+}
+const instruments = createInstruments(meter, policy);
+bindSelfMetrics(instruments);
+
+// Price table for cost estimates (models whose stats-cache costUSD is zero or missing)
+const pricing = loadPricing(PRICING_FILE);
+
+// Transcript events as OTLP log records (not in a dry run, which only covers metrics)
+let loggerProvider = null;
+let eventLog = null;
+if (settings.logsExporter === "otlp" && !DRY_RUN) {
+  loggerProvider = new LoggerProvider({ resource });
+  loggerProvider.addLogRecordProcessor(new BatchLogRecordProcessor(createLogExporter()));
+  eventLog = createEventLog({
+    logger: loggerProvider.getLogger("claude-code-events"),
+    policy,
+    pricing,
+    contentMaxChars: () => settings.eventContentMaxChars,
+  });
+  log.info(`Sending transcript events to ${otlpLogsConfig.url} (${otlpLogsConfig.protocol})`);
+}
+
+// First-run history backfill goes straight through the OTLP exporter
+let historyBackfill = null;
+if (BACKFILL_MODE === "history" && !DRY_RUN) {
+  if (metricExporter) {
+    historyBackfill = (stats, attributes) => {
+      exportHistory(metricExporter, resource, buildDailyHistory(stats), attributes)
+        .then((count) => log.info(`Backfilled ${count} days of history (${attributes.user})`))
+        .catch((e) => log.error(`History backfill failed: ${e.message}`));
     };
-    
-    const totalTokens = Object.values(newTokensByModel).reduce(
-      (sum, t) => sum + t.input + t.output + t.cacheRead + t.cacheWrite, 0
-    );
-    console.log(`Backfilled: ${newSessionCount} sessions, ${newMessageCount} messages, ${totalTokens.toLocaleString()} tokens`);
   } else {
-    // Calculate and add deltas
-    let deltaTokens = 0;
-    
-    // Session delta
-    const sessionDelta = newSessionCount - previousMetrics.sessionCount;
-    if (sessionDelta > 0) {
-      sessionCounter.add(sessionDelta, { source: INSTANCE_ID });
-    }
-    
-    // Message delta
-    const messageDelta = newMessageCount - previousMetrics.messageCount;
-    if (messageDelta > 0) {
-      messageCounter.add(messageDelta, { source: INSTANCE_ID });
+    log.warn("BACKFILL_MODE=history needs the otlp exporter, falling back to totals");
+  }
+}
+
+// Budget windows are shared by all roots (a budget can span users and instances)
+let budgetTracker = null;
+// (skipped in a dry run, which must not send alerts)
+if (BUDGETS_FILE && !DRY_RUN) {
+  try {
+    budgetTracker = createBudgetTracker({
+      config: loadBudgetConfig(BUDGETS_FILE),
+      stateFile: join(STATE_DIR, ".exporter-budgets.json"),
+    });
+  } catch (e) {
+    log.error(`Could not load budgets from ${BUDGETS_FILE}: ${e.message}`);
+    process.exit(1);
+  }
+  budgetTracker.load();
+}
+
+// Scheduled usage digests for every root (not in a dry run, which must not deliver anything)
+let digestScheduler = null;
+if (settings.digestSchedule && !DRY_RUN) {
+  if (!settings.digestDir && !settings.digestWebhookUrl) {
+    log.error("DIGEST_SCHEDULE needs DIGEST_DIR or DIGEST_WEBHOOK_URL");
+    process.exit(1);
+  }
+  try {
+    digestScheduler = createDigestScheduler({
+      schedule: settings.digestSchedule,
+      period: settings.digestPeriod,
+      stateFile: join(STATE_DIR, ".exporter-digest.json"),
+      run: async (range) => {
+        const digests = await buildDigests(range, {
+          period: settings.digestPeriod,
+          format: settings.digestFormat,
+          pricing,
+          redact: policy.redact,
+        });
+        for (const digest of digests) {
+          await deliverDigest(digest, { dir: settings.digestDir, webhookUrl: settings.digestWebhookUrl });
+        }
+      },
+    });
+  } catch (e) {
+    log.error(e.message);
+    process.exit(1);
+  }
+  digestScheduler.load();
+}
+
+// Shared by every collector; reloadable settings are updated in place
+const collectorOptions = buildCollectorOptions({
+  pricing,
+  exportHistory: historyBackfill,
+  onUsage: budgetTracker ? budgetTracker.record : null,
+});
+
+const collectors = roots.map((root) => createCollector({
+  root,
+  instruments,
+  events: eventLog,
+  options: collectorOptions,
+}));
+
+// Register callbacks for gauges only (counters are updated directly in each collector)
+meter.addBatchObservableCallback(
+  (batchObservableResult) => {
+    // Apply the metric toggles and redaction rules to every observation
+    const observer = instruments.observer(batchObservableResult);
+    for (const collector of collectors) {
+      collector.observe(observer);
     }
-    
-    // Tool call delta
-    const toolCallDelta = newToolCallCount - previousMetrics.toolCallCount;
-    if (toolCallDelta > 0) {
-      toolCallCounter.add(toolCallDelta, { source: INSTANCE_ID });
+    if (budgetTracker) {
+      budgetTracker.observe(observer, instruments.budgetUtilizationGauge);
     }
-    
-    // Token deltas by model
-    for (const [model, tokens] of Object.entries(newTokensByModel)) {
-      const prev = previousMetrics.tokensByModel[model] || { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
-      
-      const inputDelta = tokens.input - prev.input;
-      if (inputDelta > 0) {
-        tokenCounter.add(inputDelta, { type: "input", model, source: INSTANCE_ID });
-        deltaTokens += inputDelta;
-      }
-      
-      const outputDelta = tokens.output - prev.output;
-      if (outputDelta > 0) {
-        tokenCounter.add(outputDelta, { type: "output", model, source: INSTANCE_ID });
-        deltaTokens += outputDelta;
-      }
-      
-      const cacheReadDelta = tokens.cacheRead - prev.cacheRead;
-      if (cacheReadDelta > 0) {
-        tokenCounter.add(cacheReadDelta, { type: "cacheRead", model, source: INSTANCE_ID });
-        deltaTokens += cacheReadDelta;
-      }
-      
-      const cacheWriteDelta = tokens.cacheWrite - prev.cacheWrite;
-      if (cacheWriteDelta > 0) {
-        tokenCounter.add(cacheWriteDelta, { type: "cacheCreation", model, source: INSTANCE_ID });
-        deltaTokens += cacheWriteDelta;
-      }
+    if (exportQueue) {
+      observer.observe(instruments.queueDepthGauge, exportQueue.depth());
     }
-    
-    // Cost deltas by model
-    for (const [model, cost] of Object.entries(newCostByModel)) {
-      const prevCost = previousMetrics.costByModel[model] || 0;
-      const costDelta = cost - prevCost;
-      if (costDelta > 0) {
-        costCounter.add(costDelta, { model, source: INSTANCE_ID });
-      }
+    for (const [collector, time] of lastSuccessfulPoll) {
+      observer.observe(instruments.lastSuccessGauge, Math.floor(time / 1000), rootAttributes(collector.root));
     }
-    
-    // New conversations (ones we haven't seen before)
-    if (newConversationIds.length > 0) {
-      conversationCounter.add(newConversationIds.length, { source: INSTANCE_ID });
-      console.log(`New conversations: +${newConversationIds.length}`);
-      
-      // Mark them as seen
-      for (const id of newConversationIds) {
-        seenConversationIds.add(id);
-      }
-      saveSeenConversations();
+  },
+  [
+    instruments.activeSessionsGauge,
+    instruments.sessionInfoGauge,
+    instruments.budgetUtilizationGauge,
+    instruments.queueDepthGauge,
+    instruments.lastSuccessGauge,
+    instruments.cacheHitRatioGauge,
+  ]
+);
+
+// Same labels the collectors put on their own metrics
+function rootAttributes(root) {
+  return { source: root.instance, user: root.user };
+}
+
+// Collector -> time (ms) its last poll finished without an error
+const lastSuccessfulPoll = new Map();
+
+// Update every root, or only the one whose files changed
+function poll(changes = null, targets = collectors) {
+  let failed = false;
+  for (const collector of targets) {
+    const started = Date.now();
+    try {
+      // Archive roots pick up a replaced archive on full scans
+      if (!changes) collector.root.source.refresh();
+      collector.update(changes);
+      lastSuccessfulPoll.set(collector, Date.now());
+    } catch (error) {
+      failed = true;
+      health.lastPollError = `${collector.root.dataDir}: ${error.message}`;
+      log.error(`Poll failed for ${collector.root.dataDir}: ${error.message}`, { root: collector.root.name });
     }
-    
-    // Update previous metrics
-    previousMetrics = {
-      sessionCount: newSessionCount,
-      messageCount: newMessageCount,
-      toolCallCount: newToolCallCount,
-      tokensByModel: JSON.parse(JSON.stringify(newTokensByModel)),
-      costByModel: JSON.parse(JSON.stringify(newCostByModel)),
-      initialized: true,
-    };
-    
-    if (deltaTokens > 0) {
-      console.log(`Delta: +${deltaTokens.toLocaleString()} tokens`);
+    instruments.pollDurationHistogram.record((Date.now() - started) / 1000, rootAttributes(collector.root));
+  }
+  if (budgetTracker) {
+    budgetTracker.check();
+  }
+  if (!failed) {
+    health.lastPollTime = new Date().toISOString();
+    health.lastPollError = null;
+  }
+}
+
+// Archive roots are never watched (their copy only changes on a full scan)
+const watchedCollectors = collectors.filter((collector) => collector.root.source.kind === "dir");
+const watchEnabled = WATCH_MODE === "watch" ||
+  (WATCH_MODE === "auto" && watchedCollectors.every((collector) => canWatch(collector.root.dataDir)));
+
+const httpServer = HTTP_ENABLED && !DRY_RUN
+  ? startHttpServer({
+    host: HTTP_HOST,
+    port: HTTP_PORT,
+    prometheusExporter,
+    getHealth: () => health,
+    onScrape: () => {
+      // For pull-only setups a scrape is the export
+      health.lastExportTime = new Date().toISOString();
+    },
+    // Allow a couple of missed polls before reporting stale
+    maxPollAgeMs: () => (watchEnabled ? settings.watchFullScanInterval : settings.pollInterval) * 3,
+  })
+  : null;
+
+let pollTimer = null;
+let watchers = [];
+
+function startPolling() {
+  pollTimer = setInterval(() => poll(), settings.pollInterval);
+  log.info(`Polling every ${settings.pollInterval}ms`);
+}
+
+function stopWatching() {
+  for (const watcher of watchers) {
+    watcher.close();
+  }
+  watchers = [];
+}
+
+function startWatching() {
+  for (const collector of watchedCollectors) {
+    const watcher = watchDataDir(collector.root.dataDir, {
+      debounceMs: WATCH_DEBOUNCE_MS,
+      onChange: (changes) => poll(changes, [collector]),
+      onError: (error) => {
+        log.warn(`File watcher failed, falling back to polling: ${error.message}`);
+        stopWatching();
+        clearInterval(pollTimer);
+        startPolling();
+      },
+    });
+    if (!watcher) {
+      stopWatching();
+      return false;
     }
+    watchers.push(watcher);
+    log.info(`Watching ${collector.root.dataDir} for changes`);
   }
-  
-  // Update current metrics for gauges
-  currentMetrics.sessionCount = newSessionCount;
-  currentMetrics.messageCount = newMessageCount;
-  currentMetrics.toolCallCount = newToolCallCount;
-  currentMetrics.tokensByModel = newTokensByModel;
-  currentMetrics.costByModel = newCostByModel;
-  
-  // Get active sessions (modified within last N hours)
-  activeSessions = getActiveSessions();
-  currentMetrics.activeSessionCount = activeSessions.length;
-  
-  // Update cumulative active time tracking
-  const prevActiveTime = cumulativeActiveTimeSeconds;
-  updateActiveTime(activeSessions.length > 0);
-  
-  // Add delta to counter (counter needs deltas, not absolute values)
-  const activeTimeDelta = cumulativeActiveTimeSeconds - previousActiveTimeSeconds;
-  if (activeTimeDelta > 0) {
-    activeTimeCounter.add(activeTimeDelta, { source: INSTANCE_ID });
-    previousActiveTimeSeconds = cumulativeActiveTimeSeconds;
-  }
-  
-  // Log summary
-  const totalTokens = Object.values(currentMetrics.tokensByModel).reduce(
-    (sum, t) => sum + t.input + t.output + t.cacheRead + t.cacheWrite, 0
-  );
-  
-  const activeTimeHrs = (cumulativeActiveTimeSeconds / 3600).toFixed(1);
-  console.log(`Updated: ${totalConversationCount} convos (${seenConversationIds.size} tracked), ${currentMetrics.sessionCount} sessions, ${currentMetrics.messageCount} msgs, ${totalTokens.toLocaleString()} tokens, ${currentMetrics.activeSessionCount} active`);
+
+  pollTimer = setInterval(() => poll(), settings.watchFullScanInterval);
+  log.info(`Full rescan every ${settings.watchFullScanInterval}ms`);
+  return true;
 }
 
 // Graceful shutdown
-process.on("SIGINT", async () => {
-  console.log("Shutting down...");
+async function shutdown() {
+  log.info("Shutting down...");
+  stopWatching();
+  if (digestScheduler) {
+    digestScheduler.stop();
+  }
+  if (httpServer) {
+    httpServer.close();
+  }
   await meterProvider.shutdown();
+  if (loggerProvider) {
+    await loggerProvider.shutdown();
+  }
   process.exit(0);
-});
+}
 
-process.on("SIGTERM", async () => {
-  console.log("Shutting down...");
-  await meterProvider.shutdown();
-  process.exit(0);
-});
+// Re-read the config file on SIGHUP. Intervals, active-time thresholds, metric
+// toggles and redaction rules apply immediately; collectors (and their delta
+// state) are kept, so everything else needs a restart.
+function reloadConfig() {
+  if (!CONFIG_PATH) {
+    log.warn("SIGHUP: no config file to reload");
+    return;
+  }
+
+  let next;
+  let redact;
+  try {
+    next = loadConfig(CONFIG_PATH);
+    redact = buildRedactor(next);
+  } catch (e) {
+    log.error(`Config reload failed, keeping the current settings: ${e.message}`);
+    return;
+  }
+
+  const { reloadable, restart } = diffSettings(config, next);
+  if (restart.length > 0) {
+    log.warn(`Config reload: ${restart.join(", ")} changed, restart to apply`);
+  }
+  for (const name of reloadable) {
+    settings[name] = next.settings[name];
+  }
+  config = { ...next, settings, resourceAttributes: config.resourceAttributes };
+  policy.redact = redact;
+  configureLogger({ level: settings.logLevel });
+  collectorOptions.activeSessionHours = settings.activeSessionHours;
+  collectorOptions.idleThresholdSeconds = settings.activeIdleThreshold;
+  collectorOptions.sessionTimeoutSeconds = settings.sessionTimeoutMinutes * 60;
+  collectorOptions.cacheRatioWindowHours = settings.cacheRatioWindowHours;
+
+  if (reloadable.includes("pollInterval") || reloadable.includes("watchFullScanInterval")) {
+    clearInterval(pollTimer);
+    const interval = watchers.length > 0 ? settings.watchFullScanInterval : settings.pollInterval;
+    pollTimer = setInterval(() => poll(), interval);
+  }
+  log.info(`Config reloaded from ${CONFIG_PATH}${reloadable.length > 0 ? ` (applied ${reloadable.join(", ")})` : ""}`);
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+process.on("SIGHUP", reloadConfig);
+
+// Print the data points a dry run collected, as "name{attributes} value" lines or JSON
+function printDryRun() {
+  const points = [];
+  for (const resourceMetrics of dryRunExporter.getMetrics()) {
+    for (const scopeMetrics of resourceMetrics.scopeMetrics) {
+      for (const metric of scopeMetrics.metrics) {
+        for (const dataPoint of metric.dataPoints) {
+          points.push({ name: metric.descriptor.name, attributes: dataPoint.attributes, value: dataPoint.value });
+        }
+      }
+    }
+  }
+
+  if (dryRunFormat === "json") {
+    process.stdout.write(JSON.stringify(points, null, 2) + "\n");
+    return;
+  }
+  for (const point of points) {
+    const attributes = Object.entries(point.attributes).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(",");
+    const value = typeof point.value === "object" ? JSON.stringify(point.value) : point.value;
+    process.stdout.write(`${point.name}{${attributes}} ${value}\n`);
+  }
+  console.error(`${points.length} data points would be exported`);
+}
 
 // Start
-console.log("Starting metrics collection...");
-loadActiveTimeState();
-loadSeenConversations();
-updateMetrics();
-
-// Poll for updates
-setInterval(updateMetrics, POLL_INTERVAL);
-console.log(`Polling every ${POLL_INTERVAL}ms`);
+log.info("Starting metrics collection...");
+for (const collector of collectors) {
+  collector.load();
+}
+poll();
+
+if (DRY_RUN) {
+  await dryRunReader.forceFlush();
+  printDryRun();
+  for (const dir of dryRunStateDirs) {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  await exitAfterOutput(0);
+}
+
+// Watch or poll for updates
+if (!watchEnabled || !startWatching()) {
+  startPolling();
+}
+if (digestScheduler) {
+  digestScheduler.start();
+  log.info(`Sending the ${settings.digestPeriod} digest at "${settings.digestSchedule}"`);
+}
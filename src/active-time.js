@@ -0,0 +1,25 @@
+/**
+ * Idle-gap active time: consecutive events of a session closer than the idle
+ * threshold form one work interval; the time between them is active time,
+ * credited to the later event.
+ *
+ * events ({ time, sessionId, ... }, time in ms) are taken in time order, so a
+ * session's main and subagent transcripts interleave the same way whichever
+ * was read first. lastEvents (sessionId -> time of the last event) is updated
+ * in place to carry sessions over to the next call; an event older than that
+ * adds nothing. Returns [{ event, seconds }] for every gap counted.
+ */
+export function idleGapIntervals(events, lastEvents, idleThresholdSeconds) {
+  const intervals = [];
+  for (const event of [...events].sort((a, b) => a.time - b.time)) {
+    const last = lastEvents[event.sessionId];
+    lastEvents[event.sessionId] = last === undefined ? event.time : Math.max(last, event.time);
+    if (last === undefined) continue;
+
+    const seconds = (event.time - last) / 1000;
+    if (seconds > 0 && seconds <= idleThresholdSeconds) {
+      intervals.push({ event, seconds });
+    }
+  }
+  return intervals;
+}
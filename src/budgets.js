@@ -0,0 +1,213 @@
+import { readFileSync, existsSync } from "fs";
+import { log } from "./logger.js";
+import { writeFileAtomic } from "./state-store.js";
+import { recordStateSaveFailure } from "./self-metrics.js";
+
+const PERIODS = ["daily", "weekly", "monthly"];
+const METRICS = ["tokens", "cost"];
+const SCOPE_KEYS = ["user", "instance", "model", "project"];
+const DEFAULT_THRESHOLDS = [0.8, 1];
+
+/**
+ * Load and validate the budget config:
+ *
+ *   {
+ *     "webhook": "https://hooks.example.com/claude-budget",   (optional)
+ *     "thresholds": [0.8, 1],                                  (optional)
+ *     "budgets": [
+ *       { "name": "team-monthly", "period": "monthly", "metric": "cost", "limit": 500 },
+ *       { "name": "opus-daily", "period": "daily", "metric": "tokens", "limit": 2000000,
+ *         "scope": { "model": "claude-opus", "project": "/work/api" } }
+ *     ]
+ *   }
+ *
+ * Scope values match by prefix. Throws with every problem found.
+ */
+export function loadBudgetConfig(path) {
+  const config = JSON.parse(readFileSync(path, "utf8"));
+  const errors = [];
+
+  if (!Array.isArray(config.budgets)) {
+    errors.push("\"budgets\" must be an array");
+  }
+  const thresholds = config.thresholds || DEFAULT_THRESHOLDS;
+  if (!Array.isArray(thresholds) || thresholds.some((t) => typeof t !== "number" || t <= 0)) {
+    errors.push("\"thresholds\" must be an array of positive numbers");
+  }
+  if (config.webhook !== undefined && typeof config.webhook !== "string") {
+    errors.push("\"webhook\" must be a URL string");
+  }
+
+  const names = new Set();
+  (config.budgets || []).forEach((budget, index) => {
+    const label = budget.name ? `budget "${budget.name}"` : `budgets[${index}]`;
+    if (!budget.name) errors.push(`${label}: missing "name"`);
+    if (names.has(budget.name)) errors.push(`${label}: duplicate name`);
+    names.add(budget.name);
+    if (!PERIODS.includes(budget.period)) errors.push(`${label}: "period" must be one of ${PERIODS.join(", ")}`);
+    if (!METRICS.includes(budget.metric)) errors.push(`${label}: "metric" must be one of ${METRICS.join(", ")}`);
+    if (typeof budget.limit !== "number" || budget.limit <= 0) errors.push(`${label}: "limit" must be a positive number`);
+    for (const key of Object.keys(budget.scope || {})) {
+      if (!SCOPE_KEYS.includes(key)) errors.push(`${label}: unknown scope key "${key}"`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid budget config ${path}:\n  ${errors.join("\n  ")}`);
+  }
+
+  return {
+    webhook: config.webhook || null,
+    thresholds: [...thresholds].sort((a, b) => a - b),
+    budgets: config.budgets,
+  };
+}
+
+// Calendar window (local time) containing a timestamp, e.g. "2025-06-03",
+// "week-of-2025-06-02" (weeks start on Monday) or "2025-06"
+export function periodKey(period, time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, "0");
+  if (period === "monthly") {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+  }
+  if (period === "weekly") {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+    return `week-of-${monday.getFullYear()}-${pad(monday.getMonth() + 1)}-${pad(monday.getDate())}`;
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function matchesScope(scope, event) {
+  for (const [key, value] of Object.entries(scope || {})) {
+    if (!event[key] || !String(event[key]).startsWith(value)) return false;
+  }
+  return true;
+}
+
+/**
+ * Tracks usage against the configured budgets in calendar windows persisted
+ * to stateFile, and notifies (log line plus optional webhook POST) the first
+ * time each threshold is crossed in a window. A webhook POST that fails is
+ * sent again on the next check.
+ */
+export function createBudgetTracker({ config, stateFile }) {
+  // budget name -> { period: key, usage, notified: [thresholds] }
+  let windows = {};
+
+  function load() {
+    try {
+      if (existsSync(stateFile)) {
+        windows = JSON.parse(readFileSync(stateFile, "utf8")).windows || {};
+        log.info(`Loaded budget windows for ${Object.keys(windows).length} budgets`);
+      }
+    } catch (e) {
+      log.warn(`Could not load budget state: ${e.message}`);
+    }
+  }
+
+  function save() {
+    try {
+      writeFileAtomic(stateFile, JSON.stringify({
+        windows,
+        lastUpdated: new Date().toISOString(),
+      }));
+    } catch (e) {
+      log.error(`Failed to save budget state: ${e.message}`);
+      recordStateSaveFailure(stateFile);
+    }
+  }
+
+  // Current window of a budget, rolled over when the calendar period changed
+  function currentWindow(budget, now = Date.now()) {
+    const key = periodKey(budget.period, now);
+    if (!windows[budget.name] || windows[budget.name].period !== key) {
+      windows[budget.name] = { period: key, usage: 0, notified: [] };
+    }
+    return windows[budget.name];
+  }
+
+  /**
+   * Add usage: { time, user, instance, model, project, tokens, cost }.
+   * Events outside a budget's current window are ignored.
+   */
+  function record(event) {
+    for (const budget of config.budgets) {
+      const amount = budget.metric === "cost" ? event.cost : event.tokens;
+      if (!amount || !matchesScope(budget.scope, event)) continue;
+
+      const window = currentWindow(budget);
+      if (periodKey(budget.period, event.time) !== window.period) continue;
+      window.usage += amount;
+    }
+  }
+
+  // Resolves once the webhook POST (if any) is done
+  function notify(budget, window, threshold) {
+    const utilization = window.usage / budget.limit;
+    const unit = budget.metric === "cost" ? "USD" : "tokens";
+    const usage = budget.metric === "cost" ? window.usage.toFixed(2) : Math.round(window.usage).toLocaleString();
+    log.warn(`[BUDGET] ${budget.name}: ${Math.round(utilization * 100)}% of ${budget.period} ${budget.metric} budget used ` +
+      `(${usage} / ${budget.limit} ${unit}, threshold ${Math.round(threshold * 100)}%)`,
+    { budget: budget.name, window: window.period, utilization, threshold });
+
+    if (!config.webhook) return Promise.resolve();
+    return fetch(config.webhook, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        budget: budget.name,
+        period: budget.period,
+        window: window.period,
+        metric: budget.metric,
+        scope: budget.scope || {},
+        limit: budget.limit,
+        usage: window.usage,
+        utilization,
+        threshold,
+        timestamp: new Date().toISOString(),
+      }),
+    }).then((response) => {
+      if (!response.ok) {
+        throw new Error(`webhook returned ${response.status}`);
+      }
+    }).catch((e) => {
+      log.error(`Budget webhook failed for ${budget.name}, retrying on the next check: ${e.message}`);
+      // Unless the window rolled over meanwhile
+      if (windows[budget.name] === window) {
+        window.notified = window.notified.filter((notified) => notified !== threshold);
+        save();
+      }
+    });
+  }
+
+  // Notify newly crossed thresholds and persist the windows. Crossing several
+  // at once (e.g. 80% and 100% in one poll) only notifies the highest.
+  // Resolves once the webhook POSTs are done.
+  function check() {
+    const deliveries = [];
+    for (const budget of config.budgets) {
+      const window = currentWindow(budget);
+      const crossed = config.thresholds.filter((threshold) =>
+        window.usage / budget.limit >= threshold && !window.notified.includes(threshold));
+      if (crossed.length === 0) continue;
+      window.notified.push(...crossed);
+      deliveries.push(notify(budget, window, crossed[crossed.length - 1]));
+    }
+    save();
+    return Promise.all(deliveries);
+  }
+
+  function observe(batchObservableResult, gauge) {
+    for (const budget of config.budgets) {
+      const window = currentWindow(budget);
+      batchObservableResult.observe(gauge, window.usage / budget.limit, {
+        budget: budget.name,
+        period: budget.period,
+        metric: budget.metric,
+      });
+    }
+  }
+
+  return { load, record, check, observe };
+}
@@ -0,0 +1,60 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Prompt-cache usage per project dir and model, in hourly buckets (by the time
+ * each response was written), for a cache hit ratio over a trailing window:
+ * cacheRead / (input + cacheRead + cacheWrite), the share of the prompt that
+ * was served from the cache.
+ *
+ * The buckets are plain data so they can be saved with the collector state:
+ *   { hourStart: { projectDir: { model: [input, cacheRead, cacheWrite] } } }
+ */
+export function createCacheUsageWindow() {
+  let buckets = {};
+
+  function load(saved) {
+    buckets = saved || {};
+  }
+
+  function record(time, projectDir, model, usage) {
+    const hour = time - (time % HOUR_MS);
+    const byProject = buckets[hour] = buckets[hour] || {};
+    const byModel = byProject[projectDir] = byProject[projectDir] || {};
+    const totals = byModel[model] = byModel[model] || [0, 0, 0];
+    totals[0] += usage.input;
+    totals[1] += usage.cacheRead;
+    totals[2] += usage.cacheWrite;
+  }
+
+  // Drop the hours that ended before the window
+  function prune(now, windowMs) {
+    for (const hour of Object.keys(buckets)) {
+      if (Number(hour) + HOUR_MS <= now - windowMs) delete buckets[hour];
+    }
+  }
+
+  // Summed over the hours left: [{ projectDir, model, input, cacheRead, cacheWrite }]
+  function totals() {
+    const summed = {};
+    for (const byProject of Object.values(buckets)) {
+      for (const [projectDir, byModel] of Object.entries(byProject)) {
+        for (const [model, [input, cacheRead, cacheWrite]] of Object.entries(byModel)) {
+          const key = `${projectDir}\n${model}`;
+          const total = summed[key] = summed[key] || { projectDir, model, input: 0, cacheRead: 0, cacheWrite: 0 };
+          total.input += input;
+          total.cacheRead += cacheRead;
+          total.cacheWrite += cacheWrite;
+        }
+      }
+    }
+    return Object.values(summed);
+  }
+
+  return {
+    load,
+    record,
+    prune,
+    totals,
+    snapshot: () => buckets,
+  };
+}
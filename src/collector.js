@@ -0,0 +1,1023 @@
+import { readFileSync, existsSync, readdirSync, statSync } from "fs";
+import { join } from "path";
+import { estimateCost } from "./pricing.js";
+import { createProjectFilter } from "./projects.js";
+import { createSessionTracker } from "./sessions.js";
+import { createToolTracker } from "./tools.js";
+import { createCacheUsageWindow } from "./cache-usage.js";
+import {
+  createTranscriptReader,
+  decodeProjectDir,
+  readProjectPath,
+  listProjectTranscripts,
+  isSubagentTranscript,
+  extractUsage,
+  isUserPrompt,
+} from "./transcripts.js";
+import { log } from "./logger.js";
+import { recordParseError } from "./self-metrics.js";
+import { createStateStore } from "./state-store.js";
+import { idleGapIntervals } from "./active-time.js";
+
+// tokensByModel key -> exported "type" attribute
+const TOKEN_TYPES = {
+  input: "input",
+  output: "output",
+  cacheRead: "cacheRead",
+  cacheWrite: "cacheCreation",
+};
+
+// Models already warned about as unpriced (shared by all roots)
+const unpricedModels = new Set();
+
+function estimateModelCost(pricing, model, tokens) {
+  const cost = estimateCost(pricing, model, tokens);
+  if (cost === null && !unpricedModels.has(model)) {
+    unpricedModels.add(model);
+    log.warn(`No pricing for model ${model}, cost will not be estimated`);
+  }
+  return cost;
+}
+
+// Models the stats cache reports a real cost for (no estimate needed)
+function getReportedCostModels(stats) {
+  const models = new Set();
+  if (stats && stats.modelUsage) {
+    for (const [model, usage] of Object.entries(stats.modelUsage)) {
+      if (usage.costUSD > 0) models.add(model);
+    }
+  }
+  return models;
+}
+
+/**
+ * Collects metrics for one Claude data root (a ~/.claude directory).
+ *
+ * Every root keeps its own delta baseline, seen conversations, active time
+ * and transcript offsets (persisted under root.stateDir), and adds its
+ * source/user labels to everything it records on the shared instruments.
+ * With an event log (src/events.js), transcript entries read after the first
+ * poll are also emitted as log records.
+ */
+export function createCollector({ root, instruments, events = null, options }) {
+  const {
+    sessionCounter,
+    messageCounter,
+    toolCallCounter,
+    toolResultCounter,
+    toolDurationHistogram,
+    tokenCounter,
+    costCounter,
+    activeSessionsGauge,
+    sessionInfoGauge,
+    activeTimeCounter,
+    conversationCounter,
+    resetCounter,
+    projectSessionCounter,
+    projectMessageCounter,
+    projectActiveTimeCounter,
+    sessionDurationHistogram,
+    sessionTurnsHistogram,
+    sessionToolCallsHistogram,
+    sessionTokensHistogram,
+    contextSizeHistogram,
+    outputSizeHistogram,
+    cacheHitRatioGauge,
+  } = instruments;
+
+  const baseAttributes = { source: root.instance, user: root.user };
+  const rootLog = log.child({ root: root.name });
+
+  // Project breakdown: encoded project dir -> real project path (learned from
+  // transcript cwd and sessions-index.json), and the allowlist/denylist/top-N filter
+  const projectPaths = {};
+  const projectFilter = createProjectFilter(options.projects);
+
+  function projectPathForDir(dir) {
+    if (!projectPaths[dir]) {
+      const path = readProjectPath(join(root.dataDir, "projects", dir));
+      if (!path) return decodeProjectDir(dir);
+      projectPaths[dir] = path;
+    }
+    return projectPaths[dir];
+  }
+
+  // Rank projects by transcript size for the top-N cap
+  function rankProjects() {
+    const projectsDir = join(root.dataDir, "projects");
+    if (!existsSync(projectsDir)) return;
+    
+    const projectSizes = {};
+    try {
+      for (const project of readdirSync(projectsDir)) {
+        const projectPath = join(projectsDir, project);
+        try {
+          if (!statSync(projectPath).isDirectory()) continue;
+          let size = 0;
+          for (const file of listProjectTranscripts(projectPath)) {
+            size += statSync(join(projectPath, file)).size;
+          }
+          const path = projectPathForDir(project);
+          projectSizes[path] = (projectSizes[path] || 0) + size;
+        } catch (e) {
+          // Skip directories we can't read
+          rootLog.debug(`Skipping unreadable project dir ${projectPath}: ${e.message}`);
+        }
+      }
+    } catch (error) {
+      rootLog.error(`Error ranking projects: ${error.message}`);
+    }
+    projectFilter.rank(projectSizes);
+  }
+
+  // Attributes for the per-project breakdown counters
+  function projectAttributes(projectPath, gitBranch) {
+    const attributes = { ...baseAttributes, project: projectFilter.label(projectPath) };
+    if (options.projects.gitBranch) {
+      attributes.git_branch = gitBranch || "";
+    }
+    return attributes;
+  }
+
+  // Current metric values (updated by polling)
+  let currentMetrics = {
+    sessionCount: 0,
+    messageCount: 0,
+    toolCallCount: 0,
+    tokensByModel: {},      // model -> {input, output, cacheRead, cacheWrite}
+    costByModel: {},        // model -> USD
+    estimatedCostByModel: {}, // model -> USD (computed from tokens where costUSD is missing)
+    activeSessionCount: 0,
+  };
+
+  // Active time tracking - cumulative counter (monotonically increasing)
+  let lastPollTime = null;
+  let wasActiveLastPoll = false;
+  let cumulativeActiveTimeSeconds = 0; // Total ever, persisted
+  let previousActiveTimeSeconds = 0; // For calculating counter deltas
+  // Idle-gap mode: last transcript event per session (ms), persisted so gaps
+  // spanning an exporter restart are still merged into work intervals
+  let sessionLastEvent = {};
+  const idleGapMode = options.activeTimeMode === "idle-gap";
+
+  // Seen conversations (for time-range aware counting)
+  let seenConversationIds = new Set();
+
+  // Transcript byte offsets, kept in the state snapshot (so restarts only read new lines)
+  let transcriptsLoaded = false;
+  const transcriptReader = createTranscriptReader({
+    projectsDir: join(root.dataDir, "projects"),
+    attributes: baseAttributes,
+  });
+
+  // Session lifecycle: sessions open at their first transcript entry and their
+  // histograms are recorded once they end (see src/sessions.js)
+  const sessionTracking = () => options.sessionTimeoutSeconds > 0;
+  const sessionTracker = createSessionTracker({
+    onClose: recordSessionEnd,
+  });
+
+  function recordSessionEnd(session) {
+    const attributes = projectAttributes(projectPathForDir(session.projectDir), session.gitBranch);
+    sessionDurationHistogram.record((session.end - session.start) / 1000, attributes);
+    sessionTurnsHistogram.record(session.userTurns, { ...attributes, type: "user" });
+    sessionTurnsHistogram.record(session.assistantTurns, { ...attributes, type: "assistant" });
+    sessionToolCallsHistogram.record(session.toolCalls, attributes);
+    sessionTokensHistogram.record(session.tokens, attributes);
+  }
+
+  // End sessions that have been quiet for longer than the timeout
+  function closeIdleSessions() {
+    const closed = sessionTracker.closeIdle(Date.now(), options.sessionTimeoutSeconds * 1000);
+    if (closed > 0) {
+      rootLog.info(`Sessions: ${closed} ended, ${sessionTracker.openCount()} open`);
+    }
+  }
+
+  // Per-tool outcome and latency, from tool_use/tool_result pairs
+  const toolTracker = createToolTracker({
+    onResult: recordToolResult,
+  });
+
+  function recordToolResult(result) {
+    const attributes = {
+      ...projectAttributes(projectPathForDir(result.projectDir), result.gitBranch),
+      tool_name: result.name,
+      status: result.status,
+    };
+    toolResultCounter.add(1, attributes);
+    if (result.seconds !== null) {
+      toolDurationHistogram.record(result.seconds, attributes);
+    }
+    if (eventsLive()) {
+      events.recordToolResult(result, eventAttributes(result.projectDir, result.sessionId, result.agentType, result.gitBranch));
+    }
+  }
+
+  // Events are only emitted for entries written after the first read, so
+  // existing transcripts are not replayed as a flood of old records
+  const eventsLive = () => events !== null && transcriptsLoaded;
+
+  function eventAttributes(projectDir, sessionId, agentType, gitBranch) {
+    return {
+      ...baseAttributes,
+      project: projectFilter.label(projectPathForDir(projectDir)),
+      session_id: sessionId,
+      agent_type: agentType,
+      git_branch: gitBranch || "",
+    };
+  }
+
+  // Prompt cache usage per project and model over the trailing window, for the hit ratio gauges
+  const cacheUsage = createCacheUsageWindow();
+  const cacheRatioWindowMs = () => options.cacheRatioWindowHours * 60 * 60 * 1000;
+
+  // Active time, seen conversations, the exported totals, the cache window,
+  // transcript offsets, open sessions and pending tool calls are persisted
+  // together as one snapshot (see src/state-store.js) after every update
+  const stateStore = createStateStore({ dir: root.stateDir, attributes: baseAttributes });
+
+  function loadState() {
+    const state = stateStore.load();
+    if (!state) return;
+    transcriptsLoaded = transcriptReader.load(state.transcripts);
+    sessionTracker.load(state.openSessions);
+    toolTracker.load(state.pendingToolCalls);
+    cumulativeActiveTimeSeconds = state.activeTime.cumulativeSeconds || 0;
+    lastPollTime = state.activeTime.lastPollTime || null;
+    sessionLastEvent = state.activeTime.sessionLastEvent || {};
+    seenConversationIds = new Set(state.seenConversationIds);
+    cacheUsage.load(state.cacheUsage);
+    // Totals are only stored once a stats cache was read
+    if (state.exportedTotals) {
+      previousMetrics = { ...previousMetrics, ...state.exportedTotals.metrics, initialized: true };
+      previousActiveTimeSeconds = state.exportedTotals.activeTimeSeconds || 0;
+    }
+    rootLog.info(`Loaded state: ${cumulativeActiveTimeSeconds}s active time, ${seenConversationIds.size} seen conversations${state.exportedTotals ? ", exported totals" : ""}`);
+  }
+
+  function saveState() {
+    stateStore.save({
+      activeTime: {
+        cumulativeSeconds: cumulativeActiveTimeSeconds,
+        lastPollTime,
+        sessionLastEvent,
+      },
+      seenConversationIds: Array.from(seenConversationIds),
+      exportedTotals: previousMetrics.initialized
+        ? { metrics: previousMetrics, activeTimeSeconds: previousActiveTimeSeconds }
+        : null,
+      cacheUsage: cacheUsage.snapshot(),
+      transcripts: transcriptsLoaded ? transcriptReader.snapshot() : null,
+      openSessions: sessionTracker.snapshot(),
+      pendingToolCalls: toolTracker.snapshot(),
+    });
+  }
+
+  // Increment for a series that should only grow. A lower total means the
+  // source was rebuilt, truncated or restored from an older copy: nothing is
+  // added and the new value becomes the baseline, so later growth counts again.
+  function counterDelta(series, current, previous) {
+    // Tolerate float noise in USD totals
+    if (current < previous - 1e-9) {
+      resetCounter.add(1, { ...baseAttributes, series });
+      rootLog.warn(`Counter rollback on ${series}: ${previous} -> ${current}, re-baselining`);
+      return 0;
+    }
+    return Math.max(current - previous, 0);
+  }
+
+  // Credit active time to every project (and branch) with an active session.
+  // Concurrent projects each get the full delta, so this doesn't sum to the total.
+  function recordProjectActiveTime(deltaSeconds) {
+    const credited = new Set();
+    for (const session of activeSessions) {
+      const attributes = projectAttributes(session.project, session.gitBranch);
+      const key = JSON.stringify(attributes);
+      if (credited.has(key)) continue;
+      credited.add(key);
+      projectActiveTimeCounter.add(deltaSeconds, attributes);
+    }
+  }
+
+  // session_id on the usage and active time counters, when turned on
+  function sessionAttribute(sessionId) {
+    return options.sessionIdAttribute ? { session_id: sessionId } : {};
+  }
+
+  // An entry's part in idle-gap active time (null for entries that don't count)
+  function activityEvent(entry, context) {
+    if (entry.type !== "user" && entry.type !== "assistant") return null;
+    const time = Date.parse(entry.timestamp);
+    if (!time) return null;
+    return { time, sessionId: context.sessionId, projectDir: context.projectDir, agentType: context.agentType, gitBranch: entry.gitBranch };
+  }
+
+  // Idle-gap active time of the events read in one poll (see idleGapIntervals).
+  // Returns the seconds added.
+  function recordIdleGapActiveTime(activityEvents) {
+    let total = 0;
+    for (const { event, seconds } of idleGapIntervals(activityEvents, sessionLastEvent, options.idleThresholdSeconds)) {
+      const projectPath = projectPathForDir(event.projectDir);
+      activeTimeCounter.add(seconds, {
+        ...baseAttributes,
+        project: projectFilter.label(projectPath),
+        ...sessionAttribute(event.sessionId),
+        agent_type: event.agentType,
+      });
+      projectActiveTimeCounter.add(seconds, projectAttributes(projectPath, event.gitBranch));
+      total += seconds;
+    }
+    cumulativeActiveTimeSeconds += total;
+    return total;
+  }
+  
+  // Forget sessions idle for over a day; a new event can't merge with them anyway
+  function pruneSessionLastEvents() {
+    const cutoff = Date.now() - Math.max(options.idleThresholdSeconds * 1000, 24 * 60 * 60 * 1000);
+    for (const [sessionId, time] of Object.entries(sessionLastEvent)) {
+      if (time < cutoff) delete sessionLastEvent[sessionId];
+    }
+  }
+
+  function updateActiveTime(hasActiveSessions) {
+    const now = Date.now();
+    
+    // If active and we have a previous poll time, add the delta
+    if (hasActiveSessions && wasActiveLastPoll && lastPollTime !== null) {
+      const deltaSeconds = Math.round((now - lastPollTime) / 1000);
+      if (deltaSeconds > 0) {
+        cumulativeActiveTimeSeconds += deltaSeconds;
+        rootLog.info(`Active time: +${deltaSeconds}s (total: ${cumulativeActiveTimeSeconds}s)`);
+        recordProjectActiveTime(deltaSeconds);
+      }
+    }
+    
+    wasActiveLastPoll = hasActiveSessions;
+    lastPollTime = now;
+  }
+
+  // Track previous values to calculate deltas
+  let previousMetrics = {
+    sessionCount: 0,
+    messageCount: 0,
+    toolCallCount: 0,
+    tokensByModel: {},  // model -> {input, output, cacheRead, cacheWrite}
+    costByModel: {},    // model -> USD
+    estimatedCostByModel: {}, // model -> USD
+    conversationCount: 0,
+    initialized: false,
+  };
+
+  // Track active sessions for info gauge
+  let activeSessions = []; // Array of {sessionId, title, project, modified}
+
+  // Track total conversations (all .jsonl files in projects dir)
+  let totalConversations = 0;
+
+  function readStatsCache() {
+    const statsPath = join(root.dataDir, "stats-cache.json");
+    
+    if (!existsSync(statsPath)) {
+      rootLog.info(`Stats file not found: ${statsPath}`);
+      return null;
+    }
+    
+    try {
+      const content = readFileSync(statsPath, "utf8");
+      return JSON.parse(content);
+    } catch (error) {
+      rootLog.error(`Error reading stats cache: ${error.message}`);
+      recordParseError("stats_cache", baseAttributes);
+      return null;
+    }
+  }
+
+  function scanConversations() {
+    // Scan all transcripts in ~/.claude/projects/ (sessions and subagents)
+    // Returns { total, newIds } where newIds are conversations we haven't seen before
+    const projectsDir = join(root.dataDir, "projects");
+    if (!existsSync(projectsDir)) return { total: 0, newIds: [] };
+    
+    const allIds = [];
+    const newIds = [];
+    let complete = true;
+    
+    try {
+      const projects = readdirSync(projectsDir);
+      for (const project of projects) {
+        const projectPath = join(projectsDir, project);
+        
+        try {
+          if (!statSync(projectPath).isDirectory()) continue;
+          
+          for (const file of listProjectTranscripts(projectPath)) {
+            const conversationId = `${project}/${file}`;
+            allIds.push(conversationId);
+            
+            if (!seenConversationIds.has(conversationId)) {
+              newIds.push(conversationId);
+            }
+          }
+        } catch (e) {
+          // Skip directories we can't read
+          complete = false;
+          rootLog.debug(`Skipping unreadable project dir ${projectPath}: ${e.message}`);
+        }
+      }
+    } catch (error) {
+      complete = false;
+      rootLog.error(`Error scanning conversations: ${error.message}`);
+    }
+    
+    // Forget conversations whose transcript was deleted, so the set doesn't grow
+    // forever. Only after a complete scan: a dir that is briefly unreadable (or
+    // an empty mount) must not make its conversations count as new later.
+    if (complete && allIds.length > 0) {
+      const present = new Set(allIds);
+      let forgotten = 0;
+      for (const id of seenConversationIds) {
+        if (!present.has(id)) {
+          seenConversationIds.delete(id);
+          forgotten++;
+        }
+      }
+      if (forgotten > 0) {
+        rootLog.info(`Forgot ${forgotten} seen conversations whose transcripts were deleted`);
+      }
+    }
+    
+    return { total: allIds.length, newIds };
+  }
+
+  function getActiveSessions() {
+    // Read sessions from project directories
+    // Check actual file modification times (not just index timestamps)
+    const projectsDir = join(root.dataDir, "projects");
+    if (!existsSync(projectsDir)) return [];
+    
+    const activeWindowMs = options.activeSessionHours * 60 * 60 * 1000;
+    const cutoffTime = Date.now() - activeWindowMs;
+    const sessions = [];
+    
+    try {
+      const projects = readdirSync(projectsDir);
+      for (const project of projects) {
+        const projectPath = join(projectsDir, project);
+        
+        // Skip if not a directory
+        try {
+          if (!statSync(projectPath).isDirectory()) continue;
+        } catch (e) {
+          continue;
+        }
+        
+        // Build session info from index if available
+        const indexPath = join(projectPath, "sessions-index.json");
+        let sessionIndex = {};
+        
+        if (existsSync(indexPath)) {
+          try {
+            const content = readFileSync(indexPath, "utf8");
+            const index = JSON.parse(content);
+            if (index.entries && Array.isArray(index.entries)) {
+              for (const entry of index.entries) {
+                sessionIndex[entry.sessionId] = entry;
+                if (entry.projectPath) {
+                  projectPaths[project] = entry.projectPath;
+                }
+              }
+            }
+          } catch (e) {
+            // Index unreadable (or mid-write), continue without it
+            recordParseError("sessions_index", baseAttributes);
+            rootLog.debug(`Could not read session index ${indexPath}: ${e.message}`);
+          }
+        }
+        
+        // Scan for .jsonl files and check actual modification times
+        try {
+          const files = readdirSync(projectPath);
+          for (const file of files) {
+            // Subagent transcripts belong to their parent session
+            if (!file.endsWith(".jsonl") || isSubagentTranscript(file)) continue;
+            
+            const filePath = join(projectPath, file);
+            const sessionId = file.replace(".jsonl", "");
+            
+            try {
+              const fileStat = statSync(filePath);
+              const fileModifiedTime = fileStat.mtimeMs;
+              
+              if (fileModifiedTime > cutoffTime) {
+                const indexEntry = sessionIndex[sessionId] || {};
+                sessions.push({
+                  sessionId: sessionId,
+                  title: indexEntry.firstPrompt ? indexEntry.firstPrompt.slice(0, 100) : "",
+                  project: indexEntry.projectPath || projectPathForDir(project),
+                  gitBranch: indexEntry.gitBranch || "",
+                  modified: new Date(fileModifiedTime).toISOString(),
+                  messageCount: indexEntry.messageCount || 0,
+                });
+              }
+            } catch (e) {
+              // Skip files we can't stat
+            }
+          }
+        } catch (e) {
+          // Skip directories we can't read
+          rootLog.debug(`Skipping unreadable project dir ${projectPath}: ${e.message}`);
+        }
+      }
+    } catch (error) {
+      rootLog.error(`Error reading active sessions: ${error.message}`);
+    }
+    
+    // Sort by most recently modified
+    sessions.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+    
+    return sessions;
+  }
+
+  // Count sessions and messages per project (and branch)
+  function recordProjectActivity(entry, context) {
+    const attributes = projectAttributes(projectPathForDir(context.projectDir), entry.gitBranch);
+    if (context.sessionStart && context.agentType === "main") {
+      projectSessionCounter.add(1, attributes);
+    }
+    
+    if (isUserPrompt(entry)) {
+      projectMessageCounter.add(1, { ...attributes, type: "user" });
+    } else if (entry.type === "assistant" && !context.duplicate && entry.message && entry.message.model !== "<synthetic>") {
+      projectMessageCounter.add(1, { ...attributes, type: "assistant" });
+    }
+  }
+
+  // Report usage to the budget tracker: { time, model, project, tokens, cost }
+  function recordUsage(event) {
+    if (!options.onUsage) return;
+    options.onUsage({ user: root.user, instance: root.instance, ...event });
+  }
+
+  // Record token, cost and tool usage from one transcript entry
+  // Returns the number of tokens recorded
+  function recordTranscriptEntry(entry, context, reportedCostModels) {
+    recordProjectActivity(entry, context);
+    
+    if (options.usageSource !== "transcripts") return 0;
+    if (entry.type !== "assistant" || !entry.message) return 0;
+
+    const model = entry.message.model;
+    // Synthetic messages (errors, interruptions) carry zeroed usage and no real model
+    if (!model || model === "<synthetic>") return 0;
+
+    const projectPath = projectPathForDir(context.projectDir);
+    // Subagent usage is attributed to the parent session, split out by agent_type
+    const attributes = {
+      project: projectFilter.label(projectPath),
+      ...sessionAttribute(context.sessionId),
+      agent_type: context.agentType,
+      ...baseAttributes,
+    };
+
+    let tokens = 0;
+    // Every content block of a response repeats its usage; count it once per message
+    const usage = context.duplicate ? null : extractUsage(entry.message);
+    if (usage) {
+      for (const [key, type] of Object.entries(TOKEN_TYPES)) {
+        if (usage[key] > 0) {
+          tokenCounter.add(usage[key], { ...attributes, type, model });
+          tokens += usage[key];
+        }
+      }
+
+      // Reported cost reaches the budgets from the stats-cache deltas instead
+      let cost = 0;
+      if (!reportedCostModels.has(model)) {
+        cost = estimateModelCost(options.pricing, model, usage) || 0;
+        if (cost > 0) {
+          costCounter.add(cost, { ...attributes, model, cost_source: "estimated" });
+        }
+      }
+
+      const time = Date.parse(entry.timestamp) || Date.now();
+      recordUsage({ time, model, project: projectPath, tokens, cost });
+
+      const sizeAttributes = { ...projectAttributes(projectPath, entry.gitBranch), model, agent_type: context.agentType };
+      contextSizeHistogram.record(usage.input + usage.cacheRead + usage.cacheWrite, sizeAttributes);
+      outputSizeHistogram.record(usage.output, sizeAttributes);
+      cacheUsage.record(time, context.projectDir, model, usage);
+    }
+
+    for (const tool of context.toolUses) {
+      toolCallCounter.add(1, { ...attributes, tool_name: tool.name });
+    }
+
+    return tokens;
+  }
+
+  function pollTranscripts(stats, changedTranscripts) {
+    // With a history backfill, the first read only records offsets: the
+    // history covers everything that was on disk before
+    if (!transcriptsLoaded && options.exportHistory) {
+      const entries = transcriptReader.poll(() => {}, changedTranscripts);
+      transcriptsLoaded = true;
+      rootLog.info(`Transcripts: skipped ${entries} existing entries (covered by history backfill)`);
+      return;
+    }
+    
+    let tokens = 0;
+    let toolResults = 0;
+    // Active time is worked out once the poll is done, with the session's
+    // transcripts in time order
+    const activityEvents = [];
+    const reportedCostModels = getReportedCostModels(stats);
+    const sessionTimeoutMs = options.sessionTimeoutSeconds * 1000;
+    const entries = transcriptReader.poll((entry, context) => {
+      tokens += recordTranscriptEntry(entry, context, reportedCostModels);
+      const activity = idleGapMode ? activityEvent(entry, context) : null;
+      if (activity) activityEvents.push(activity);
+      if (sessionTracking()) {
+        sessionTracker.record(entry, context, sessionTimeoutMs);
+      }
+      toolResults += toolTracker.record(entry, context);
+      if (eventsLive()) {
+        events.record(entry, context, eventAttributes(context.projectDir, context.sessionId, context.agentType, entry.gitBranch));
+      }
+    }, changedTranscripts);
+    transcriptsLoaded = true;
+    const activeSeconds = recordIdleGapActiveTime(activityEvents);
+    if (entries > 0) {
+      rootLog.info(`Transcripts: ${entries} new entries, +${tokens.toLocaleString()} tokens, +${toolResults} tool results, +${Math.round(activeSeconds)}s active`);
+    }
+    cacheUsage.prune(Date.now(), cacheRatioWindowMs());
+    if (idleGapMode) {
+      pruneSessionLastEvents();
+      // Counted directly per session, so there's no delta left to add later
+      previousActiveTimeSeconds = cumulativeActiveTimeSeconds;
+    }
+  }
+
+  // Last parsed stats cache, reused by watch-triggered updates that didn't touch it
+  let lastStats = null;
+
+  // Collect and record metrics, then save the state snapshot (also after a
+  // failed update, so increments already recorded aren't added again)
+  function updateMetrics(changes = null) {
+    try {
+      collect(changes);
+    } finally {
+      saveState();
+    }
+  }
+
+  // `changes` comes from the file watcher and limits the work to what changed;
+  // without it everything is rescanned.
+  function collect(changes) {
+    const stats = !changes || changes.statsCache || !lastStats ? readStatsCache() : lastStats;
+    lastStats = stats;
+    
+    // Re-rank projects for the top-N cap before anything is labeled
+    if (!changes && options.projects.topN > 0) {
+      rankProjects();
+    }
+    
+    // Per-message token and tool usage (and idle-gap active time) from the
+    // conversation transcripts (independent of the stats cache, which may not exist yet)
+    const readTranscripts = options.usageSource === "transcripts" || idleGapMode || sessionTracking() || events !== null;
+    if (readTranscripts && (!changes || changes.transcripts.size > 0)) {
+      pollTranscripts(stats, changes ? changes.transcripts : null);
+    }
+    if (sessionTracking()) {
+      closeIdleSessions();
+    }
+    
+    if (!stats) {
+      rootLog.info("No stats available");
+      return;
+    }
+    
+    // Read current values from stats
+    const newSessionCount = stats.totalSessions || 0;
+    const newMessageCount = stats.totalMessages || 0;
+    
+    // Calculate total tool calls from daily activity
+    let newToolCallCount = 0;
+    if (stats.dailyActivity) {
+      for (const day of stats.dailyActivity) {
+        newToolCallCount += day.toolCallCount || 0;
+      }
+    }
+    
+    // Only walk the project dirs when a transcript or session index changed
+    const rescanProjects = !changes || changes.transcripts.size > 0 || changes.sessionIndex;
+    
+    // Scan conversations - find new ones we haven't seen before
+    const { total: totalConversationCount, newIds: newConversationIds } = rescanProjects
+      ? scanConversations()
+      : { total: totalConversations, newIds: [] };
+    totalConversations = totalConversationCount;
+    
+    // Build new token/cost maps
+    const newTokensByModel = {};
+    const newCostByModel = {};
+    const newEstimatedCostByModel = {};
+    
+    if (stats.modelUsage) {
+      for (const [model, usage] of Object.entries(stats.modelUsage)) {
+        newTokensByModel[model] = {
+          input: usage.inputTokens || 0,
+          output: usage.outputTokens || 0,
+          cacheRead: usage.cacheReadInputTokens || 0,
+          cacheWrite: usage.cacheCreationInputTokens || 0,
+        };
+        
+        if (usage.costUSD > 0) {
+          newCostByModel[model] = usage.costUSD;
+        } else if (options.usageSource === "stats-cache") {
+          // Subscription usage reports no cost; estimate the API-equivalent spend
+          // (in transcripts mode this is done per message instead)
+          const estimated = estimateModelCost(options.pricing, model, newTokensByModel[model]);
+          if (estimated > 0) {
+            newEstimatedCostByModel[model] = estimated;
+          }
+        }
+      }
+    }
+    
+    // On first run with a history backfill, push the daily history with real
+    // dates and only baseline the counters (cost has no daily breakdown, so it
+    // is still added below)
+    const historyBackfill = !previousMetrics.initialized && options.exportHistory;
+    if (historyBackfill) {
+      rootLog.info("Exporting daily history instead of backfilling totals...");
+      options.exportHistory(stats, baseAttributes);
+    }
+    
+    // On first run, initialize counters with current totals (backfill)
+    if (!previousMetrics.initialized) {
+      rootLog.info("Initializing counters with current totals (backfill)...");
+      
+      // Add initial totals to counters
+      // (sessions, messages, tools and tokens are covered by the daily history)
+      if (newSessionCount > 0 && !historyBackfill) {
+        sessionCounter.add(newSessionCount, baseAttributes);
+      }
+      if (newMessageCount > 0 && !historyBackfill) {
+        messageCounter.add(newMessageCount, baseAttributes);
+      }
+      if (newToolCallCount > 0 && options.usageSource === "stats-cache" && !historyBackfill) {
+        toolCallCounter.add(newToolCallCount, baseAttributes);
+      }
+      
+      // Add initial tokens
+      for (const [model, tokens] of Object.entries(options.usageSource === "stats-cache" && !historyBackfill ? newTokensByModel : {})) {
+        if (tokens.input > 0) {
+          tokenCounter.add(tokens.input, { type: "input", model, ...baseAttributes });
+        }
+        if (tokens.output > 0) {
+          tokenCounter.add(tokens.output, { type: "output", model, ...baseAttributes });
+        }
+        if (tokens.cacheRead > 0) {
+          tokenCounter.add(tokens.cacheRead, { type: "cacheRead", model, ...baseAttributes });
+        }
+        if (tokens.cacheWrite > 0) {
+          tokenCounter.add(tokens.cacheWrite, { type: "cacheCreation", model, ...baseAttributes });
+        }
+      }
+      
+      // Add initial costs
+      for (const [model, cost] of Object.entries(newCostByModel)) {
+        if (cost > 0) {
+          costCounter.add(cost, { model, ...baseAttributes, cost_source: "reported" });
+        }
+      }
+      for (const [model, cost] of Object.entries(newEstimatedCostByModel)) {
+        costCounter.add(cost, { model, ...baseAttributes, cost_source: "estimated" });
+      }
+      
+      // Backfill active time counter with historical cumulative value
+      // (idle-gap active time was already counted while reading the transcripts)
+      if (cumulativeActiveTimeSeconds > 0 && !idleGapMode) {
+        activeTimeCounter.add(cumulativeActiveTimeSeconds, baseAttributes);
+        previousActiveTimeSeconds = cumulativeActiveTimeSeconds;
+        rootLog.info(`Backfilled active time: ${cumulativeActiveTimeSeconds}s`);
+      }
+      
+      // For conversations: DON'T backfill - just mark existing ones as seen
+      // This ensures only NEW conversations (created after exporter starts) are counted
+      // which makes Grafana time range filtering work correctly
+      if (newConversationIds.length > 0) {
+        for (const id of newConversationIds) {
+          seenConversationIds.add(id);
+        }
+        rootLog.info(`Marked ${newConversationIds.length} existing conversations as seen (not backfilled)`);
+      }
+      rootLog.info(`Total conversations on disk: ${totalConversationCount}`);
+      
+      // Store as previous
+      previousMetrics = {
+        sessionCount: newSessionCount,
+        messageCount: newMessageCount,
+        toolCallCount: newToolCallCount,
+        tokensByModel: JSON.parse(JSON.stringify(newTokensByModel)),
+        costByModel: JSON.parse(JSON.stringify(newCostByModel)),
+        estimatedCostByModel: JSON.parse(JSON.stringify(newEstimatedCostByModel)),
+        initialized: true,
+      };
+      
+      const totalTokens = Object.values(newTokensByModel).reduce(
+        (sum, t) => sum + t.input + t.output + t.cacheRead + t.cacheWrite, 0
+      );
+      rootLog.info(`${historyBackfill ? "Baselined" : "Backfilled"}: ${newSessionCount} sessions, ${newMessageCount} messages, ${totalTokens.toLocaleString()} tokens`);
+    } else {
+      // Calculate and add deltas
+      let deltaTokens = 0;
+      
+      // Session delta
+      const sessionDelta = counterDelta("session", newSessionCount, previousMetrics.sessionCount);
+      if (sessionDelta > 0) {
+        sessionCounter.add(sessionDelta, baseAttributes);
+      }
+      
+      // Message delta
+      const messageDelta = counterDelta("message", newMessageCount, previousMetrics.messageCount);
+      if (messageDelta > 0) {
+        messageCounter.add(messageDelta, baseAttributes);
+      }
+      
+      // Tool call delta
+      const toolCallDelta = counterDelta("tool", newToolCallCount, previousMetrics.toolCallCount);
+      if (toolCallDelta > 0 && options.usageSource === "stats-cache") {
+        toolCallCounter.add(toolCallDelta, baseAttributes);
+      }
+      
+      // Token deltas by model
+      for (const [model, tokens] of Object.entries(options.usageSource === "stats-cache" ? newTokensByModel : {})) {
+        const prev = previousMetrics.tokensByModel[model] || { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+        const modelTokensBefore = deltaTokens;
+        
+        const inputDelta = counterDelta(`token:${model}:input`, tokens.input, prev.input);
+        if (inputDelta > 0) {
+          tokenCounter.add(inputDelta, { type: "input", model, ...baseAttributes });
+          deltaTokens += inputDelta;
+        }
+        
+        const outputDelta = counterDelta(`token:${model}:output`, tokens.output, prev.output);
+        if (outputDelta > 0) {
+          tokenCounter.add(outputDelta, { type: "output", model, ...baseAttributes });
+          deltaTokens += outputDelta;
+        }
+        
+        const cacheReadDelta = counterDelta(`token:${model}:cacheRead`, tokens.cacheRead, prev.cacheRead);
+        if (cacheReadDelta > 0) {
+          tokenCounter.add(cacheReadDelta, { type: "cacheRead", model, ...baseAttributes });
+          deltaTokens += cacheReadDelta;
+        }
+        
+        const cacheWriteDelta = counterDelta(`token:${model}:cacheCreation`, tokens.cacheWrite, prev.cacheWrite);
+        if (cacheWriteDelta > 0) {
+          tokenCounter.add(cacheWriteDelta, { type: "cacheCreation", model, ...baseAttributes });
+          deltaTokens += cacheWriteDelta;
+        }
+        
+        recordUsage({ time: Date.now(), model, tokens: deltaTokens - modelTokensBefore });
+      }
+      
+      // Cost deltas by model
+      for (const [model, cost] of Object.entries(newCostByModel)) {
+        const prevCost = previousMetrics.costByModel[model] || 0;
+        const costDelta = counterDelta(`cost:${model}:reported`, cost, prevCost);
+        if (costDelta > 0) {
+          costCounter.add(costDelta, { model, ...baseAttributes, cost_source: "reported" });
+          recordUsage({ time: Date.now(), model, cost: costDelta });
+        }
+      }
+      for (const [model, cost] of Object.entries(newEstimatedCostByModel)) {
+        const costDelta = counterDelta(`cost:${model}:estimated`, cost, previousMetrics.estimatedCostByModel[model] || 0);
+        if (costDelta > 0) {
+          costCounter.add(costDelta, { model, ...baseAttributes, cost_source: "estimated" });
+          recordUsage({ time: Date.now(), model, cost: costDelta });
+        }
+      }
+      
+      // New conversations (ones we haven't seen before), by project and
+      // whether they are a session or a subagent's transcript
+      if (newConversationIds.length > 0) {
+        const conversationCounts = {};
+        for (const id of newConversationIds) {
+          const slash = id.indexOf("/");
+          const project = projectFilter.label(projectPathForDir(id.slice(0, slash)));
+          const agentType = isSubagentTranscript(id.slice(slash + 1)) ? "subagent" : "main";
+          const key = JSON.stringify([project, agentType]);
+          conversationCounts[key] = (conversationCounts[key] || 0) + 1;
+        }
+        for (const [key, count] of Object.entries(conversationCounts)) {
+          const [project, agentType] = JSON.parse(key);
+          conversationCounter.add(count, { ...baseAttributes, project, agent_type: agentType });
+        }
+        rootLog.info(`New conversations: +${newConversationIds.length}`);
+        
+        // Mark them as seen
+        for (const id of newConversationIds) {
+          seenConversationIds.add(id);
+        }
+      }
+      
+      // Update previous metrics
+      previousMetrics = {
+        sessionCount: newSessionCount,
+        messageCount: newMessageCount,
+        toolCallCount: newToolCallCount,
+        tokensByModel: JSON.parse(JSON.stringify(newTokensByModel)),
+        costByModel: JSON.parse(JSON.stringify(newCostByModel)),
+        estimatedCostByModel: JSON.parse(JSON.stringify(newEstimatedCostByModel)),
+        initialized: true,
+      };
+      
+      if (deltaTokens > 0) {
+        rootLog.info(`Delta: +${deltaTokens.toLocaleString()} tokens`);
+      }
+    }
+    
+    // Update current metrics for gauges
+    currentMetrics.sessionCount = newSessionCount;
+    currentMetrics.messageCount = newMessageCount;
+    currentMetrics.toolCallCount = newToolCallCount;
+    currentMetrics.tokensByModel = newTokensByModel;
+    currentMetrics.costByModel = newCostByModel;
+    currentMetrics.estimatedCostByModel = newEstimatedCostByModel;
+    
+    // Get active sessions (modified within last N hours)
+    if (rescanProjects) {
+      activeSessions = getActiveSessions();
+    }
+    currentMetrics.activeSessionCount = activeSessions.length;
+    
+    // Update cumulative active time tracking (file-activity mode; idle-gap
+    // active time is recorded while reading the transcripts)
+    const prevActiveTime = cumulativeActiveTimeSeconds;
+    if (!idleGapMode) {
+      updateActiveTime(activeSessions.length > 0);
+    }
+    
+    // Add delta to counter (counter needs deltas, not absolute values)
+    const activeTimeDelta = counterDelta("active_time", cumulativeActiveTimeSeconds, previousActiveTimeSeconds);
+    if (activeTimeDelta > 0) {
+      activeTimeCounter.add(activeTimeDelta, baseAttributes);
+    }
+    previousActiveTimeSeconds = cumulativeActiveTimeSeconds;
+    
+    // Log summary
+    const totalTokens = Object.values(currentMetrics.tokensByModel).reduce(
+      (sum, t) => sum + t.input + t.output + t.cacheRead + t.cacheWrite, 0
+    );
+    
+    const activeTimeHrs = (cumulativeActiveTimeSeconds / 3600).toFixed(1);
+    rootLog.info(`Updated (${root.name}): ${totalConversationCount} convos (${seenConversationIds.size} tracked), ${currentMetrics.sessionCount} sessions, ${currentMetrics.messageCount} msgs, ${totalTokens.toLocaleString()} tokens, ${currentMetrics.activeSessionCount} active`);
+  }
+
+  function load() {
+    loadState();
+  }
+
+  // Report this root's gauges (called from the meter's batch observable callback)
+  function observe(batchObservableResult) {
+    // Report active sessions count
+    batchObservableResult.observe(activeSessionsGauge, currentMetrics.activeSessionCount, baseAttributes);
+    
+    // Report active session info
+    for (const session of activeSessions) {
+      batchObservableResult.observe(sessionInfoGauge, 1, {
+        session_id: session.sessionId,
+        title: session.title || "",
+        directory: session.project || "",
+        ...baseAttributes,
+      });
+    }
+
+    // Cache hit ratio per model and project label (projects folded into
+    // "other" are summed before dividing)
+    cacheUsage.prune(Date.now(), cacheRatioWindowMs());
+    const byLabel = {};
+    for (const total of cacheUsage.totals()) {
+      const project = projectFilter.label(projectPathForDir(total.projectDir));
+      const key = `${project}\n${total.model}`;
+      const summed = byLabel[key] = byLabel[key] || { project, model: total.model, prompt: 0, cacheRead: 0 };
+      summed.prompt += total.input + total.cacheRead + total.cacheWrite;
+      summed.cacheRead += total.cacheRead;
+    }
+    for (const { project, model, prompt, cacheRead } of Object.values(byLabel)) {
+      if (prompt > 0) {
+        batchObservableResult.observe(cacheHitRatioGauge, cacheRead / prompt, { ...baseAttributes, project, model });
+      }
+    }
+  }
+
+  return {
+    root,
+    load,
+    update: updateMetrics,
+    observe,
+  };
+}
@@ -0,0 +1,279 @@
+import { readFileSync } from "fs";
+import { extname, join } from "path";
+import { homedir, hostname } from "os";
+import { parse as parseYaml } from "yaml";
+import { parsePatternList } from "./projects.js";
+import { REDACTION_ACTIONS } from "./redaction.js";
+import { METRIC_NAMES } from "./instruments.js";
+import { LOG_LEVELS, LOG_FORMATS } from "./logger.js";
+import { DIGEST_PERIODS, DIGEST_FORMATS } from "./digest.js";
+
+/**
+ * Every setting with the env var it can also come from. Config file keys are
+ * the setting names; values from the file override the environment.
+ *
+ * type: "int" | "number" | "string" | "boolean" | "list" (comma-separated in env)
+ */
+const SETTINGS = {
+  // Claude data directory (~/.claude on Mac and Linux)
+  claudeDataDir: { env: "CLAUDE_DATA_DIR", type: "string", default: join(homedir(), ".claude") },
+  // State files can go to a separate writable dir (useful when the data dir is read-only).
+  // Defaults to the data dir.
+  stateDir: { env: "EXPORTER_STATE_DIR", type: "string", default: "" },
+  // Several Claude data roots in one process, as comma-separated "user=path" or
+  // "user@instance=path" entries. When unset, claudeDataDir is the only root.
+  claudeDataRoots: { env: "CLAUDE_DATA_ROOTS", type: "list", default: [] },
+  claudeUser: { env: "CLAUDE_USER", type: "string", default: "" },
+  instanceId: { env: "INSTANCE_ID", type: "string", default: hostname() },
+  exportInterval: { env: "EXPORT_INTERVAL", type: "int", default: 10000, min: 1000 },
+  pollInterval: { env: "POLL_INTERVAL", type: "int", default: 30000, min: 1000, reloadable: true },
+  activeSessionHours: { env: "ACTIVE_SESSION_HOURS", type: "number", default: 1, min: 0, reloadable: true },
+  // "idle-gap" derives active time from transcript timestamps (events closer than
+  // activeIdleThreshold seconds form one work interval); "file-activity" counts
+  // the whole poll interval whenever a transcript changed in the last activeSessionHours
+  activeTimeMode: { env: "ACTIVE_TIME_MODE", type: "string", default: "idle-gap", values: ["idle-gap", "file-activity"] },
+  activeIdleThreshold: { env: "ACTIVE_IDLE_THRESHOLD", type: "int", default: 300, min: 1, reloadable: true },
+  // A session ends after this many minutes without transcript entries, and its
+  // duration/turns/tool calls/tokens histograms are recorded (0 disables them)
+  sessionTimeoutMinutes: { env: "SESSION_TIMEOUT_MINUTES", type: "number", default: 30, min: 0, reloadable: true },
+  // Trailing window for the prompt cache hit ratio gauges
+  cacheRatioWindowHours: { env: "CACHE_RATIO_WINDOW_HOURS", type: "number", default: 24, min: 1, reloadable: true },
+  // "watch" reacts to file changes, "poll" re-reads everything every pollInterval,
+  // "auto" watches unless the data dir is read-only (where watch events are unreliable)
+  watchMode: { env: "WATCH_MODE", type: "string", default: "auto", values: ["auto", "watch", "poll"] },
+  watchDebounceMs: { env: "WATCH_DEBOUNCE_MS", type: "int", default: 2000, min: 0 },
+  // In watch mode, a full rescan still runs this often to expire active sessions and catch missed events
+  watchFullScanInterval: { env: "WATCH_FULL_SCAN_INTERVAL", type: "int", default: 300000, min: 1000, reloadable: true },
+  // Where token and tool usage comes from: "transcripts" (per-message, with project/session
+  // attributes) or "stats-cache" (aggregated totals only, updated whenever Claude Code rebuilds it)
+  usageSource: { env: "USAGE_SOURCE", type: "string", default: "transcripts", values: ["transcripts", "stats-cache"] },
+  // Metric exporters: "otlp" (push), "prometheus" (pull via /metrics)
+  metricsExporters: { env: "OTEL_METRICS_EXPORTER", type: "list", default: ["otlp"], values: ["otlp", "prometheus"] },
+  // "otlp" also sends one log record per transcript event (prompt, response,
+  // tool call and result; see src/events.js) over OTEL_EXPORTER_OTLP_[LOGS_]*
+  logsExporter: { env: "OTEL_LOGS_EXPORTER", type: "string", default: "none", values: ["none", "otlp"] },
+  // Prompt text and tool input in those records: left out at 0, otherwise cut to
+  // this many characters (redaction rules on "prompt"/"tool_input" apply on top)
+  eventContentMaxChars: { env: "EVENT_CONTENT_MAX_CHARS", type: "int", default: 0, min: 0, reloadable: true },
+  // Embedded HTTP server for /metrics and /healthz (always on with the prometheus
+  // exporter, otherwise only when a port is set)
+  httpHost: { env: "HTTP_HOST", type: "string", default: "0.0.0.0" },
+  httpPort: { env: "HTTP_PORT", type: "int", default: null, min: 1, max: 65535 },
+  // Optional JSON file overriding the bundled per-model prices (USD per million tokens)
+  pricingFile: { env: "PRICING_FILE", type: "string", default: "" },
+  // What a first run does with the totals already on disk: "totals" adds them to the
+  // counters at once (one spike), "history" pushes the stats-cache daily history
+  // with real dates over OTLP and starts the counters from the current totals
+  backfillMode: { env: "BACKFILL_MODE", type: "string", default: "totals", values: ["totals", "history"] },
+  // Cardinality controls for the project attribute: path patterns ("*" within a
+  // segment, "**" across), and a cap on distinct projects (0 = no cap).
+  // Projects filtered out are reported as project="other".
+  projectAllowlist: { env: "PROJECT_ALLOWLIST", type: "list", default: [] },
+  projectDenylist: { env: "PROJECT_DENYLIST", type: "list", default: [] },
+  projectTopN: { env: "PROJECT_TOP_N", type: "int", default: 0, min: 0 },
+  // Add a git_branch attribute to the per-project breakdown
+  projectGitBranch: { env: "PROJECT_GIT_BRANCH", type: "boolean", default: false },
+  // Add a session_id attribute to the token, cost, tool and active time counters.
+  // Off by default: every session starts new series on these cumulative counters
+  // (per-session figures are in the session.* histograms either way)
+  sessionIdAttribute: { env: "SESSION_ID_ATTRIBUTE", type: "boolean", default: false },
+  // OTLP batches that fail to send are queued on disk and replayed in order.
+  // The queue is capped by size (0 disables it) and age.
+  exportQueueMaxMb: { env: "EXPORT_QUEUE_MAX_MB", type: "number", default: 50, min: 0 },
+  exportQueueMaxAgeHours: { env: "EXPORT_QUEUE_MAX_AGE_HOURS", type: "number", default: 168, min: 0 },
+  // Optional JSON file with daily/weekly/monthly token or cost budgets (see src/budgets.js)
+  budgetsFile: { env: "BUDGETS_FILE", type: "string", default: "" },
+  // Usage digest of the previous week or month, rendered at the times of a cron
+  // expression (e.g. "0 9 * * 1"; empty disables it) and written to digestDir
+  // and/or POSTed to digestWebhookUrl (see src/digest.js)
+  digestSchedule: { env: "DIGEST_SCHEDULE", type: "string", default: "" },
+  digestPeriod: { env: "DIGEST_PERIOD", type: "string", default: "weekly", values: DIGEST_PERIODS },
+  digestFormat: { env: "DIGEST_FORMAT", type: "string", default: "markdown", values: DIGEST_FORMATS, reloadable: true },
+  digestDir: { env: "DIGEST_DIR", type: "string", default: "", reloadable: true },
+  digestWebhookUrl: { env: "DIGEST_WEBHOOK_URL", type: "string", default: "", reloadable: true },
+  // Diagnostics: one JSON object per line (or plain text) at this level and above
+  logLevel: { env: "LOG_LEVEL", type: "string", default: "info", values: LOG_LEVELS, reloadable: true },
+  logFormat: { env: "LOG_FORMAT", type: "string", default: "json", values: LOG_FORMATS },
+  // Salt for "hash" redaction rules (keep it secret, or short values can be brute-forced)
+  redactionSalt: { env: "REDACTION_SALT", type: "string", default: "", reloadable: true },
+  // Optional YAML/JSON mapping of project paths to aliases, applied to the
+  // project and directory attributes (see src/redaction.js)
+  projectAliasesFile: { env: "PROJECT_ALIASES_FILE", type: "string", default: "", reloadable: true },
+};
+
+// Config file sections besides the settings
+const SECTIONS = ["resourceAttributes", "metrics", "redaction"];
+
+// Convert one value to the setting's type; returns [value, error]
+function coerce(spec, value, fromEnv) {
+  switch (spec.type) {
+    case "int":
+    case "number": {
+      const text = String(value).trim();
+      const valid = spec.type === "int" ? /^-?\d+$/.test(text) : text !== "" && !isNaN(Number(text));
+      if (!valid || (!fromEnv && typeof value !== "number")) {
+        return [null, `must be ${spec.type === "int" ? "an integer" : "a number"} (got ${JSON.stringify(value)})`];
+      }
+      const number = Number(text);
+      if (spec.min !== undefined && number < spec.min) return [null, `must be at least ${spec.min} (got ${number})`];
+      if (spec.max !== undefined && number > spec.max) return [null, `must be at most ${spec.max} (got ${number})`];
+      return [number, null];
+    }
+    case "boolean":
+      if (typeof value === "boolean") return [value, null];
+      if (fromEnv && ["true", "false"].includes(value)) return [value === "true", null];
+      return [null, `must be true or false (got ${JSON.stringify(value)})`];
+    case "list": {
+      const list = fromEnv ? parsePatternList(value) : value;
+      if (!Array.isArray(list) || list.some((item) => typeof item !== "string")) {
+        return [null, "must be a list of strings"];
+      }
+      const invalid = spec.values ? list.filter((item) => !spec.values.includes(item)) : [];
+      if (invalid.length > 0) return [null, `has unknown value(s) ${invalid.join(", ")} (expected ${spec.values.join(", ")})`];
+      return [list, null];
+    }
+    default:
+      if (typeof value !== "string") return [null, `must be a string (got ${JSON.stringify(value)})`];
+      if (spec.values && !spec.values.includes(value)) {
+        return [null, `must be one of ${spec.values.join(", ")} (got "${value}")`];
+      }
+      return [value, null];
+  }
+}
+
+function readConfigFile(path) {
+  const content = readFileSync(path, "utf8");
+  const data = [".yaml", ".yml"].includes(extname(path).toLowerCase()) ? parseYaml(content) : JSON.parse(content);
+  if (data === null || data === undefined) return {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Config file ${path} must contain a mapping of settings`);
+  }
+  return data;
+}
+
+function validateSections(file, errors) {
+  const resourceAttributes = file.resourceAttributes || {};
+  if (typeof resourceAttributes !== "object" || Array.isArray(resourceAttributes)) {
+    errors.push("resourceAttributes: must be a mapping of attribute name to value");
+  } else {
+    for (const [key, value] of Object.entries(resourceAttributes)) {
+      if (!["string", "number", "boolean"].includes(typeof value)) {
+        errors.push(`resourceAttributes.${key}: must be a string, number or boolean`);
+      }
+    }
+  }
+
+  const metrics = file.metrics || {};
+  if (typeof metrics !== "object" || Array.isArray(metrics)) {
+    errors.push("metrics: must be a mapping of metric name to true/false");
+  } else {
+    for (const [name, enabled] of Object.entries(metrics)) {
+      if (!METRIC_NAMES.includes(name)) errors.push(`metrics.${name}: not a metric of this exporter`);
+      if (typeof enabled !== "boolean") errors.push(`metrics.${name}: must be true or false`);
+    }
+  }
+
+  const redaction = file.redaction || [];
+  if (!Array.isArray(redaction)) {
+    errors.push("redaction: must be a list of rules");
+  } else {
+    redaction.forEach((rule, index) => {
+      const label = `redaction[${index}]`;
+      const attributes = rule && (Array.isArray(rule.attribute) ? rule.attribute : [rule.attribute]);
+      if (!attributes || attributes.length === 0 || attributes.some((name) => typeof name !== "string")) {
+        errors.push(`${label}: "attribute" must be an attribute name or a list of them`);
+        return;
+      }
+      if (!REDACTION_ACTIONS.includes(rule.action)) {
+        errors.push(`${label}: "action" must be one of ${REDACTION_ACTIONS.join(", ")}`);
+      }
+      if (rule.action === "truncate" && !(Number.isInteger(rule.length) && rule.length > 0)) {
+        errors.push(`${label}: "truncate" needs a positive integer "length"`);
+      }
+      if (rule.action === "mask") {
+        try {
+          new RegExp(rule.pattern);
+        } catch (e) {
+          errors.push(`${label}: invalid "pattern": ${e.message}`);
+        }
+        if (typeof rule.pattern !== "string") errors.push(`${label}: "mask" needs a "pattern"`);
+      }
+    });
+  }
+}
+
+/**
+ * Build the effective configuration: defaults, then env vars, then the config
+ * file (YAML for .yaml/.yml, JSON otherwise) when a path is given.
+ *
+ * Returns { settings, resourceAttributes, metrics, redaction }. Throws one
+ * error listing every invalid value.
+ */
+export function loadConfig(path = "", env = process.env) {
+  const errors = [];
+  const settings = {};
+
+  let file = {};
+  if (path) {
+    try {
+      file = readConfigFile(path);
+    } catch (e) {
+      throw new Error(`Could not read config file ${path}: ${e.message}`);
+    }
+    for (const key of Object.keys(file)) {
+      if (!(key in SETTINGS) && !SECTIONS.includes(key)) {
+        errors.push(`${key}: unknown setting`);
+      }
+    }
+    validateSections(file, errors);
+  }
+
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    settings[name] = spec.default;
+    if (env[spec.env] !== undefined && env[spec.env] !== "") {
+      const [value, error] = coerce(spec, env[spec.env], true);
+      if (error) errors.push(`${spec.env} ${error}`);
+      else settings[name] = value;
+    }
+    if (file[name] !== undefined) {
+      const [value, error] = coerce(spec, file[name], false);
+      if (error) errors.push(`${name} ${error}`);
+      else settings[name] = value;
+    }
+  }
+
+  // An unsalted hash of a project name or prompt is easy to reverse with a dictionary
+  const unsalted = (file.redaction || []).findIndex((rule) =>
+    rule && rule.action === "hash" && !rule.salt && !settings.redactionSalt);
+  if (unsalted !== -1) {
+    errors.push(`redaction[${unsalted}]: "hash" needs a salt (REDACTION_SALT, redactionSalt or the rule's "salt")`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration${path ? ` (${path})` : ""}:\n  ${errors.join("\n  ")}`);
+  }
+
+  return {
+    settings,
+    resourceAttributes: file.resourceAttributes || {},
+    metrics: file.metrics || {},
+    redaction: file.redaction || [],
+  };
+}
+
+/**
+ * Names of the settings that differ between two configs, split into the ones
+ * a reload can apply and the ones that need a restart.
+ */
+export function diffSettings(previous, next) {
+  const reloadable = [];
+  const restart = [];
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    if (JSON.stringify(previous.settings[name]) === JSON.stringify(next.settings[name])) continue;
+    (spec.reloadable ? reloadable : restart).push(name);
+  }
+  if (JSON.stringify(previous.resourceAttributes) !== JSON.stringify(next.resourceAttributes)) {
+    restart.push("resourceAttributes");
+  }
+  return { reloadable, restart };
+}
@@ -0,0 +1,313 @@
+import { readFileSync, existsSync, mkdirSync } from "fs";
+import { join } from "path";
+import { localDate, formatDuration } from "./report.js";
+import { log } from "./logger.js";
+import { writeFileAtomic } from "./state-store.js";
+import { recordStateSaveFailure } from "./self-metrics.js";
+
+export const DIGEST_PERIODS = ["weekly", "monthly"];
+export const DIGEST_FORMATS = ["markdown", "html"];
+
+// Rows shown in the top-N sections
+const TOP_ROWS = 5;
+
+// Checked twice a minute, so no scheduled minute is skipped
+const TICK_MS = 30 * 1000;
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  // 0 and 7 are both Sunday
+  { name: "day of week", min: 0, max: 7 },
+];
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`invalid ${name} "${part}"`);
+    const [, star, first, last, step] = match;
+    const from = star ? min : Number(first);
+    // "5/15" runs from 5 to the end, like "5-59/15"
+    const to = star || (step && last === undefined) ? max : Number(last === undefined ? first : last);
+    const increment = step ? Number(step) : 1;
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`${name} "${part}" out of range ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += increment) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression ("minute hour day-of-month month day-of-week", local
+ * time) with "*", numbers, ranges ("1-5"), lists ("1,15") and steps ("*\/2"),
+ * e.g. "0 9 * * 1" for Mondays at 9:00. Returns a function telling whether a
+ * Date falls in a scheduled minute. Throws on an invalid expression.
+ */
+export function parseSchedule(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid schedule "${expression}" (expected 5 cron fields)`);
+  }
+  let minutes, hours, days, months, weekdays;
+  try {
+    [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  } catch (e) {
+    throw new Error(`Invalid schedule "${expression}": ${e.message}`);
+  }
+  if (weekdays.has(7)) weekdays.add(0);
+
+  // As in cron, when both day fields are restricted either one matching is enough
+  const anyDay = fields[2].startsWith("*");
+  const anyWeekday = fields[4].startsWith("*");
+  return (date) => {
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+      return false;
+    }
+    const dayMatches = days.has(date.getDate());
+    const weekdayMatches = weekdays.has(date.getDay());
+    return !anyDay && !anyWeekday ? dayMatches || weekdayMatches : dayMatches && weekdayMatches;
+  };
+}
+
+// Local dates { from, to } of the calendar week (Monday to Sunday) or month before `now`
+export function previousPeriod(period, now = Date.now()) {
+  const date = new Date(now);
+  if (period === "monthly") {
+    return {
+      from: localDate(new Date(date.getFullYear(), date.getMonth() - 1, 1)),
+      to: localDate(new Date(date.getFullYear(), date.getMonth(), 0)),
+    };
+  }
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7) - 7);
+  return {
+    from: localDate(monday),
+    to: localDate(new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6)),
+  };
+}
+
+// The digest as format-neutral sections: { title, summary: [[label, value]], tables: [{ title, headers, rows }] }
+function digestSections(report, title, redact) {
+  // Project paths and session IDs go through the same aliases and redaction as metric attributes
+  const redacted = (name, value) => {
+    const result = redact({ [name]: value })[name];
+    return result === undefined ? "(redacted)" : result;
+  };
+  const number = (n) => Math.round(n).toLocaleString();
+  const usd = (n) => `$${n.toFixed(n > 0 && n < 1 ? 4 : 2)}`;
+  const models = Object.entries(report.models).sort((a, b) => b[1].cost - a[1].cost);
+  const projects = Object.entries(report.projects).sort((a, b) => b[1].tokens - a[1].tokens);
+
+  const totalTokens = models.reduce((sum, [, t]) => sum + t.input + t.output + t.cacheRead + t.cacheWrite, 0);
+  const totalCost = models.reduce((sum, [, t]) => sum + t.cost, 0);
+  const activeSeconds = report.activeByHour.reduce((sum, seconds) => sum + seconds, 0);
+  const summary = [
+    ["Estimated cost", usd(totalCost)],
+    ["Tokens", number(totalTokens)],
+    ["Responses", number(models.reduce((sum, [, t]) => sum + t.messages, 0))],
+    ["Sessions", number(report.sessions.length)],
+    ["Active time", formatDuration(activeSeconds)],
+  ];
+  if (report.unpricedModels.length > 0) {
+    summary.push(["No pricing (cost not included)", report.unpricedModels.join(", ")]);
+  }
+
+  const busiestHours = report.activeByHour
+    .map((seconds, hour) => ({ hour, seconds }))
+    .filter(({ seconds }) => seconds > 0)
+    .sort((a, b) => b.seconds - a.seconds)
+    .slice(0, TOP_ROWS);
+
+  const tables = [
+    {
+      title: "Tokens by model",
+      headers: ["Model", "Responses", "Input", "Output", "Cache read", "Cache write", "Est. cost"],
+      rows: models.map(([model, t]) => [model, number(t.messages), number(t.input), number(t.output), number(t.cacheRead), number(t.cacheWrite), usd(t.cost)]),
+    },
+    {
+      title: "Top projects",
+      headers: ["Project", "Sessions", "Messages", "Tokens", "Est. cost", "Active"],
+      rows: projects.slice(0, TOP_ROWS).map(([path, p]) => [redacted("project", path), number(p.sessions), number(p.messages), number(p.tokens), usd(p.cost), formatDuration(p.activeSeconds)]),
+    },
+    {
+      title: "Busiest days",
+      headers: ["Date", "Messages", "Sessions", "Tool calls"],
+      rows: [...report.days]
+        .sort((a, b) => b.messages - a.messages)
+        .slice(0, TOP_ROWS)
+        .map((day) => [day.date, number(day.messages), number(day.sessions), number(day.toolCalls)]),
+    },
+    {
+      title: "Longest sessions",
+      headers: ["Project", "Session", "Started", "Length"],
+      rows: report.sessions.slice(0, TOP_ROWS).map((session) => [
+        redacted("project", session.project),
+        redacted("session_id", session.sessionId),
+        new Date(session.start).toLocaleString(),
+        formatDuration((session.end - session.start) / 1000),
+      ]),
+    },
+    {
+      title: "Most active hours",
+      headers: ["Hour", "Active"],
+      rows: busiestHours.map(({ hour, seconds }) => [`${String(hour).padStart(2, "0")}:00`, formatDuration(seconds)]),
+    },
+  ];
+
+  return { title: `Claude Code usage for ${title}: ${report.from} to ${report.to}`, summary, tables };
+}
+
+function renderMarkdown({ title, summary, tables }) {
+  const cell = (value) => String(value).replace(/\|/g, "\\|");
+  const lines = [`# ${title}`, ""];
+  for (const [label, value] of summary) {
+    lines.push(`- **${label}:** ${value}`);
+  }
+  for (const table of tables) {
+    lines.push("", `## ${table.title}`, "");
+    if (table.rows.length === 0) {
+      lines.push("_None in this period_");
+      continue;
+    }
+    lines.push(`| ${table.headers.map(cell).join(" | ")} |`);
+    lines.push(`|${table.headers.map((_, i) => (i === 0 ? " --- " : " ---: ")).join("|")}|`);
+    for (const row of table.rows) {
+      lines.push(`| ${row.map(cell).join(" | ")} |`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" })[c]);
+}
+
+function renderHtml({ title, summary, tables }) {
+  const parts = [
+    "<!DOCTYPE html>",
+    `<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head><body>`,
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<ul>${summary.map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`).join("")}</ul>`,
+  ];
+  for (const table of tables) {
+    parts.push(`<h2>${escapeHtml(table.title)}</h2>`);
+    if (table.rows.length === 0) {
+      parts.push("<p><em>None in this period</em></p>");
+      continue;
+    }
+    parts.push("<table>",
+      `<tr>${table.headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("")}</tr>`,
+      ...table.rows.map((row) => `<tr>${row.map((value) => `<td>${escapeHtml(value)}</td>`).join("")}</tr>`),
+      "</table>");
+  }
+  parts.push("</body></html>");
+  return parts.join("\n") + "\n";
+}
+
+/**
+ * Render a report (see buildReport) as a Markdown or HTML digest: totals,
+ * tokens by model, top projects, busiest days, longest sessions and the most
+ * active hours of the day. redact (a metric policy's redact) is applied to the
+ * project and session_id of every row.
+ */
+export function renderDigest(report, { title, format, redact = (attributes) => attributes }) {
+  const sections = digestSections(report, title, redact);
+  return format === "html" ? renderHtml(sections) : renderMarkdown(sections);
+}
+
+/**
+ * Write a digest to dir as digest-<name>-<from>_<to>.md|.html and/or POST it
+ * to webhookUrl as JSON { user, instance, period, from, to, format, text }.
+ * Throws if either fails.
+ */
+export async function deliverDigest(digest, { dir, webhookUrl }) {
+  if (dir) {
+    mkdirSync(dir, { recursive: true });
+    const extension = digest.format === "html" ? "html" : "md";
+    writeFileAtomic(join(dir, `digest-${digest.name}-${digest.from}_${digest.to}.${extension}`), digest.text);
+  }
+  if (webhookUrl) {
+    const response = await fetch(webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        user: digest.user,
+        instance: digest.instance,
+        period: digest.period,
+        from: digest.from,
+        to: digest.to,
+        format: digest.format,
+        text: digest.text,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`webhook returned ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Calls run({ from, to }) for the previous period at the scheduled minutes,
+ * once per period: the last period delivered is persisted to stateFile, so a
+ * restart within the scheduled minute doesn't send it twice. A failed run is
+ * logged and retried while the schedule still matches.
+ */
+export function createDigestScheduler({ schedule, period, stateFile, run }) {
+  const matches = parseSchedule(schedule);
+  let lastPeriod = null;
+  let running = false;
+  let timer = null;
+
+  function load() {
+    try {
+      if (existsSync(stateFile)) {
+        lastPeriod = JSON.parse(readFileSync(stateFile, "utf8")).lastPeriod || null;
+      }
+    } catch (e) {
+      log.warn(`Could not load digest state: ${e.message}`);
+    }
+  }
+
+  function save() {
+    try {
+      writeFileAtomic(stateFile, JSON.stringify({
+        lastPeriod,
+        lastUpdated: new Date().toISOString(),
+      }));
+    } catch (e) {
+      log.error(`Failed to save digest state: ${e.message}`);
+      recordStateSaveFailure(stateFile);
+    }
+  }
+
+  async function tick(now = Date.now()) {
+    if (running || !matches(new Date(now))) return;
+    const range = previousPeriod(period, now);
+    const key = `${range.from}..${range.to}`;
+    if (key === lastPeriod) return;
+
+    running = true;
+    try {
+      await run(range);
+      lastPeriod = key;
+      save();
+      log.info(`Digest for ${key} delivered`);
+    } catch (e) {
+      log.error(`Digest for ${key} failed: ${e.message}`);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    load,
+    start: () => {
+      timer = setInterval(() => tick(), TICK_MS);
+    },
+    stop: () => clearInterval(timer),
+    tick,
+  };
+}
@@ -0,0 +1,104 @@
+import { SeverityNumber } from "@opentelemetry/api-logs";
+import { estimateCost } from "./pricing.js";
+import { extractUsage, isUserPrompt } from "./transcripts.js";
+
+// Prefix of the event names (the record body and its event.name attribute)
+const EVENT_PREFIX = "claude.code.stats.";
+
+// Text blocks of a prompt (attachments and images are left out)
+function promptText(content) {
+  if (typeof content === "string") return content;
+  return content
+    .filter((block) => block && block.type === "text" && typeof block.text === "string")
+    .map((block) => block.text)
+    .join("\n");
+}
+
+/**
+ * One OTel log record per transcript event, emitted through logger (from a
+ * LoggerProvider). Event names and their own attributes:
+ *   user_prompt          prompt_length, prompt
+ *   assistant_response   model, message_id, input_tokens, output_tokens,
+ *                        cache_read_tokens, cache_creation_tokens, cost_usd (estimated)
+ *   tool_call            tool_name, tool_use_id, tool_input
+ *   tool_result          tool_name, tool_use_id, status, duration_ms
+ * Each record also carries the attributes the collector passes in (source,
+ * user, project, session_id, agent_type, git_branch) and the entry's timestamp.
+ *
+ * prompt and tool_input are only included when contentMaxChars() is above 0,
+ * cut to that many characters. The metric policy's redaction runs last, so
+ * project aliases and redaction rules apply to these records as well.
+ */
+export function createEventLog({ logger, policy, pricing, contentMaxChars }) {
+  function emit(name, time, attributes) {
+    logger.emit({
+      // A Date: the SDK takes numbers older than the process start as performance.now() offsets
+      timestamp: new Date(time || Date.now()),
+      severityNumber: SeverityNumber.INFO,
+      severityText: "INFO",
+      body: EVENT_PREFIX + name,
+      attributes: policy.redact({ "event.name": EVENT_PREFIX + name, ...attributes }),
+    });
+  }
+
+  // Prompt or tool input as configured: left out (null) or cut to length
+  function content(value) {
+    const maxChars = contentMaxChars();
+    if (maxChars === 0 || value === undefined) return null;
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return text.length > maxChars ? text.slice(0, maxChars) : text;
+  }
+
+  // Prompt, response and tool call events of one transcript entry
+  function record(entry, context, attributes) {
+    if (!entry.message) return;
+    const time = Date.parse(entry.timestamp) || null;
+
+    if (isUserPrompt(entry)) {
+      const text = promptText(entry.message.content);
+      const event = { ...attributes, prompt_length: text.length };
+      const prompt = content(text);
+      if (prompt !== null) event.prompt = prompt;
+      emit("user_prompt", time, event);
+      return;
+    }
+    if (entry.type !== "assistant") return;
+
+    const model = entry.message.model;
+    // Every line of a response repeats its usage; the first one stands for it
+    const usage = context.duplicate ? null : extractUsage(entry.message);
+    if (usage && model && model !== "<synthetic>") {
+      const event = {
+        ...attributes,
+        model,
+        message_id: entry.message.id || "",
+        input_tokens: usage.input,
+        output_tokens: usage.output,
+        cache_read_tokens: usage.cacheRead,
+        cache_creation_tokens: usage.cacheWrite,
+      };
+      const cost = estimateCost(pricing, model, usage);
+      if (cost !== null) event.cost_usd = cost;
+      emit("assistant_response", time, event);
+    }
+
+    for (const tool of context.toolUses) {
+      const event = { ...attributes, tool_name: tool.name, tool_use_id: tool.id || "" };
+      const input = content(tool.input);
+      if (input !== null) event.tool_input = input;
+      emit("tool_call", time, event);
+    }
+  }
+
+  // A completed call from the tool tracker (see src/tools.js)
+  function recordToolResult(result, attributes) {
+    const event = { ...attributes, tool_name: result.name, tool_use_id: result.id, status: result.status };
+    if (result.seconds !== null) event.duration_ms = Math.round(result.seconds * 1000);
+    emit("tool_result", result.time, event);
+  }
+
+  return {
+    record,
+    recordToolResult,
+  };
+}
@@ -0,0 +1,168 @@
+import { readFileSync, readdirSync, statSync, unlinkSync, mkdirSync } from "fs";
+import { join } from "path";
+import { ExportResultCode } from "@opentelemetry/core";
+import { Resource } from "@opentelemetry/resources";
+import { log } from "./logger.js";
+import { writeFileAtomic } from "./state-store.js";
+import { recordParseError, recordStateSaveFailure } from "./self-metrics.js";
+
+// Queued batches sent per export call, so a long backlog doesn't hold up the
+// reader's export timeout; the rest goes out on the following intervals
+const MAX_REPLAY_PER_EXPORT = 20;
+
+// ResourceMetrics is plain data apart from the Resource, which is stored as its attributes
+function serializeBatch(metrics) {
+  return JSON.stringify({
+    resource: metrics.resource.attributes,
+    scopeMetrics: metrics.scopeMetrics,
+  });
+}
+
+function deserializeBatch(content) {
+  const batch = JSON.parse(content);
+  return {
+    resource: new Resource(batch.resource),
+    scopeMetrics: batch.scopeMetrics,
+  };
+}
+
+/**
+ * On-disk queue for metric batches the exporter failed to deliver (collector
+ * down, laptop offline, port blocked by a VPN). Failed batches are written to
+ * dir as one file each and replayed oldest first before anything newer is
+ * sent, so the backend sees them in order.
+ *
+ * The queue is capped at maxBytes (oldest batches dropped first) and batches
+ * older than maxAgeMs are discarded.
+ */
+export function createExportQueue({ dir, maxBytes, maxAgeMs }) {
+  let queued = []; // [{ file, size, time }], oldest first
+  let sequence = 0;
+  let replaying = null;
+
+  function load() {
+    try {
+      mkdirSync(dir, { recursive: true });
+      queued = readdirSync(dir)
+        .filter((file) => file.endsWith(".json"))
+        .sort()
+        .map((file) => ({
+          file,
+          size: statSync(join(dir, file)).size,
+          time: parseInt(file, 10) || 0,
+        }));
+      if (queued.length > 0) {
+        log.info(`Loaded ${queued.length} queued export batches`);
+      }
+      prune();
+    } catch (e) {
+      log.warn(`Could not load export queue: ${e.message}`);
+    }
+  }
+
+  function remove(entry) {
+    queued = queued.filter((queuedEntry) => queuedEntry !== entry);
+    try {
+      unlinkSync(join(dir, entry.file));
+    } catch (e) {
+      // Already gone
+    }
+  }
+
+  // Enforce the age and size caps
+  function prune() {
+    const cutoff = Date.now() - maxAgeMs;
+    let dropped = 0;
+    while (queued.length > 0 && queued[0].time < cutoff) {
+      remove(queued[0]);
+      dropped++;
+    }
+    let totalBytes = queued.reduce((sum, entry) => sum + entry.size, 0);
+    while (queued.length > 0 && totalBytes > maxBytes) {
+      totalBytes -= queued[0].size;
+      remove(queued[0]);
+      dropped++;
+    }
+    if (dropped > 0) {
+      log.info(`Export queue: dropped ${dropped} oldest batches (age/size cap)`);
+    }
+  }
+
+  function enqueue(metrics) {
+    const now = Date.now();
+    // Timestamp first so the names sort in queue order
+    const file = `${String(now).padStart(13, "0")}-${String(sequence++).padStart(6, "0")}.json`;
+    try {
+      const content = serializeBatch(metrics);
+      writeFileAtomic(join(dir, file), content);
+      queued.push({ file, size: Buffer.byteLength(content), time: now });
+      prune();
+    } catch (e) {
+      log.error(`Failed to queue export batch: ${e.message}`);
+      recordStateSaveFailure(dir);
+    }
+  }
+
+  // Send queued batches in order until one fails; resolves with the last result
+  async function replay(send) {
+    let result = { code: ExportResultCode.SUCCESS };
+    let sent = 0;
+    while (queued.length > 0 && sent < MAX_REPLAY_PER_EXPORT) {
+      const entry = queued[0];
+      let metrics;
+      try {
+        metrics = deserializeBatch(readFileSync(join(dir, entry.file), "utf8"));
+      } catch (e) {
+        log.error(`Dropping unreadable queued batch ${entry.file}: ${e.message}`);
+        recordParseError("queued_batch");
+        remove(entry);
+        continue;
+      }
+
+      result = await new Promise((resolve) => send(metrics, resolve));
+      if (result.code !== ExportResultCode.SUCCESS) {
+        log.warn(`Export queue: collector still unreachable, ${queued.length} batches queued`);
+        break;
+      }
+      remove(entry);
+      sent++;
+    }
+    if (sent > 0) {
+      log.info(`Export queue: replayed ${sent} batches, ${queued.length} left`);
+    }
+    return result;
+  }
+
+  // Route an exporter's failed batches through the queue
+  function attach(exporter) {
+    const originalExport = exporter.export.bind(exporter);
+    exporter.export = (metrics, resultCallback) => {
+      if (queued.length === 0 && !replaying) {
+        originalExport(metrics, (result) => {
+          if (result.code !== ExportResultCode.SUCCESS) {
+            enqueue(metrics);
+            log.warn(`Export failed, queued batch (${queued.length} queued)`);
+          }
+          resultCallback(result);
+        });
+        return;
+      }
+
+      // There's a backlog: this batch goes behind it to keep the order
+      enqueue(metrics);
+      if (!replaying) {
+        replaying = replay(originalExport).finally(() => {
+          replaying = null;
+        });
+      }
+      replaying.then(resultCallback);
+    };
+    return exporter;
+  }
+
+  return {
+    load,
+    attach,
+    depth: () => queued.length,
+  };
+}
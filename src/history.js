@@ -0,0 +1,143 @@
+import { readFileSync, existsSync } from "fs";
+import { join } from "path";
+import { ValueType } from "@opentelemetry/api";
+import { AggregationTemporality, DataPointType, InstrumentType } from "@opentelemetry/sdk-metrics";
+import { ExportResultCode, millisToHrTime } from "@opentelemetry/core";
+
+// Daily series exported with their real dates. Separate names from the live
+// counters so historical gauge points never mix with cumulative counter series.
+const DAILY_METRICS = {
+  messages: { name: "claude.code.stats.daily.messages", description: "Messages per day (from stats cache dailyActivity)", unit: "1" },
+  sessions: { name: "claude.code.stats.daily.sessions", description: "Sessions per day (from stats cache dailyActivity)", unit: "1" },
+  toolCalls: { name: "claude.code.stats.daily.tool_calls", description: "Tool calls per day (from stats cache dailyActivity)", unit: "1" },
+  tokens: { name: "claude.code.stats.daily.tokens", description: "Tokens per day by model (from stats cache dailyModelTokens)", unit: "tokens" },
+};
+
+export function readStatsFile(dataDir) {
+  const statsPath = join(dataDir, "stats-cache.json");
+  if (!existsSync(statsPath)) return null;
+  return JSON.parse(readFileSync(statsPath, "utf8"));
+}
+
+/**
+ * Merge dailyActivity and dailyModelTokens into one row per day, oldest first:
+ *   { date, messages, sessions, toolCalls, tokensByModel: {model: tokens} }
+ * Days before `since` (YYYY-MM-DD) are skipped.
+ */
+export function buildDailyHistory(stats, since = null) {
+  const days = {};
+  const day = (date) => {
+    if (!days[date]) {
+      days[date] = { date, messages: 0, sessions: 0, toolCalls: 0, tokensByModel: {} };
+    }
+    return days[date];
+  };
+
+  for (const activity of (stats && stats.dailyActivity) || []) {
+    if (!activity.date) continue;
+    const row = day(activity.date);
+    row.messages += activity.messageCount || 0;
+    row.sessions += activity.sessionCount || 0;
+    row.toolCalls += activity.toolCallCount || 0;
+  }
+
+  for (const entry of (stats && stats.dailyModelTokens) || []) {
+    if (!entry.date) continue;
+    const row = day(entry.date);
+    for (const [model, tokens] of Object.entries(entry.tokensByModel || {})) {
+      row.tokensByModel[model] = (row.tokensByModel[model] || 0) + (tokens || 0);
+    }
+  }
+
+  return Object.values(days)
+    .filter((row) => !since || row.date >= since)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// One line per day and model ("" for the day's activity totals)
+export function formatHistoryCsv(rows, labels = {}) {
+  const labelNames = Object.keys(labels);
+  const escape = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [[...labelNames, "date", "messages", "sessions", "tool_calls", "model", "tokens"].join(",")];
+  for (const row of rows) {
+    const prefix = labelNames.map((name) => escape(labels[name]));
+    lines.push([...prefix, row.date, row.messages, row.sessions, row.toolCalls, "", ""].map(escape).join(","));
+    for (const [model, tokens] of Object.entries(row.tokensByModel)) {
+      lines.push([...prefix, row.date, "", "", "", model, tokens].map(escape).join(","));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Local midnight of a YYYY-MM-DD date (stats-cache dates are local days)
+function dayStart(date) {
+  return new Date(`${date}T00:00:00`).getTime();
+}
+
+function gaugeMetric(metric, dataPoints) {
+  return {
+    descriptor: {
+      name: metric.name,
+      description: metric.description,
+      unit: metric.unit,
+      type: InstrumentType.OBSERVABLE_GAUGE,
+      valueType: ValueType.INT,
+      advice: {},
+    },
+    aggregationTemporality: AggregationTemporality.CUMULATIVE,
+    dataPointType: DataPointType.GAUGE,
+    dataPoints,
+  };
+}
+
+/**
+ * Build an OTLP metrics payload holding every day as a gauge point stamped
+ * with the start (startTime) and end (endTime) of that day.
+ */
+export function buildHistoryMetrics(resource, rows, attributes) {
+  const points = { messages: [], sessions: [], toolCalls: [], tokens: [] };
+
+  for (const row of rows) {
+    const startTime = millisToHrTime(dayStart(row.date));
+    const endTime = millisToHrTime(dayStart(row.date) + 24 * 60 * 60 * 1000 - 1);
+    const point = (value, extra = {}) => ({ startTime, endTime, attributes: { ...attributes, ...extra }, value });
+
+    points.messages.push(point(row.messages));
+    points.sessions.push(point(row.sessions));
+    points.toolCalls.push(point(row.toolCalls));
+    for (const [model, tokens] of Object.entries(row.tokensByModel)) {
+      points.tokens.push(point(tokens, { model }));
+    }
+  }
+
+  return {
+    resource,
+    scopeMetrics: [{
+      scope: { name: "claude-code-metrics-history" },
+      metrics: Object.entries(points)
+        .filter(([, dataPoints]) => dataPoints.length > 0)
+        .map(([key, dataPoints]) => gaugeMetric(DAILY_METRICS[key], dataPoints)),
+    }],
+  };
+}
+
+/**
+ * Push the daily history through a metric exporter in one batch.
+ * Note that backends rejecting out-of-order or old samples (plain Prometheus
+ * remote write, for example) will drop these points.
+ */
+export function exportHistory(exporter, resource, rows, attributes) {
+  return new Promise((resolve, reject) => {
+    exporter.export(buildHistoryMetrics(resource, rows, attributes), (result) => {
+      if (result.code === ExportResultCode.SUCCESS) {
+        resolve(rows.length);
+      } else {
+        reject(result.error || new Error("History export failed"));
+      }
+    });
+  });
+}
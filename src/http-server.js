@@ -0,0 +1,44 @@
+import { createServer } from "http";
+import { log } from "./logger.js";
+
+/**
+ * Embedded HTTP server for pull-based collection.
+ *
+ * Serves /metrics in Prometheus text format (when a PrometheusExporter is
+ * given) and /healthz, which reports the last successful poll and export.
+ * /healthz answers 503 once the last poll is older than maxPollAgeMs() (a
+ * function, so it follows config reloads).
+ */
+export function startHttpServer({ host, port, prometheusExporter, getHealth, onScrape, maxPollAgeMs }) {
+  const server = createServer((req, res) => {
+    const path = (req.url || "/").split("?")[0];
+
+    if (path === "/metrics" && prometheusExporter) {
+      prometheusExporter.getMetricsRequestHandler(req, res);
+      if (onScrape) onScrape();
+      return;
+    }
+
+    if (path === "/healthz") {
+      const health = getHealth();
+      const pollAge = health.lastPollTime ? Date.now() - Date.parse(health.lastPollTime) : null;
+      const healthy = pollAge !== null && pollAge <= maxPollAgeMs();
+      res.writeHead(healthy ? 200 : 503, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: healthy ? "ok" : "stale", ...health }));
+      return;
+    }
+
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not found\n");
+  });
+
+  server.on("error", (error) => {
+    log.error(`HTTP server error: ${error.message}`);
+  });
+
+  server.listen(port, host, () => {
+    log.info(`HTTP server listening on ${host}:${port} (${prometheusExporter ? "/metrics, " : ""}/healthz)`);
+  });
+
+  return server;
+}
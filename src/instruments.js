@@ -0,0 +1,285 @@
+// Every metric createInstruments creates: the names the config file's
+// metrics toggles can refer to
+export const METRIC_NAMES = [
+  "claude.code.stats.session.count",
+  "claude.code.stats.message.count",
+  "claude.code.stats.tool.usage",
+  "claude.code.stats.token.usage",
+  "claude.code.stats.cost.usage",
+  "claude.code.stats.session.active",
+  "claude.code.stats.session.info",
+  "claude.code.stats.active.time",
+  "claude.code.stats.conversation.count",
+  "claude.code.stats.tool.result.count",
+  "claude.code.stats.tool.duration",
+  "claude.code.stats.exporter.resets",
+  "claude.code.stats.exporter.queue_depth",
+  "claude.code.stats.exporter.poll.duration",
+  "claude.code.stats.exporter.last_success",
+  "claude.code.stats.exporter.files.scanned",
+  "claude.code.stats.exporter.parse_errors",
+  "claude.code.stats.exporter.state_save_failures",
+  "claude.code.stats.project.session.count",
+  "claude.code.stats.project.message.count",
+  "claude.code.stats.project.active.time",
+  "claude.code.stats.session.duration",
+  "claude.code.stats.session.turns",
+  "claude.code.stats.session.tool_calls",
+  "claude.code.stats.session.tokens",
+  "claude.code.stats.request.context_size",
+  "claude.code.stats.request.output_size",
+  "claude.code.stats.cache.hit_ratio",
+  "claude.code.stats.budget.utilization",
+];
+
+// Wrap the synchronous instruments so every recording honors the metric
+// toggles and redaction rules. The policy is read on each call, so a config
+// reload applies without recreating instruments (and losing counter state).
+function applyPolicy(instruments, names, policy) {
+  const governed = {
+    // Filters gauge observations the same way, inside the batch callback
+    observer: (batchObservableResult) => ({
+      observe(gauge, value, attributes = {}) {
+        if (policy.enabled(names.get(gauge))) {
+          batchObservableResult.observe(gauge, value, policy.redact(attributes));
+        }
+      },
+    }),
+  };
+
+  for (const [key, instrument] of Object.entries(instruments)) {
+    const name = names.get(instrument);
+    if (typeof instrument.add === "function") {
+      governed[key] = {
+        add: (value, attributes = {}) => {
+          if (policy.enabled(name)) instrument.add(value, policy.redact(attributes));
+        },
+      };
+    } else if (typeof instrument.record === "function") {
+      governed[key] = {
+        record: (value, attributes = {}) => {
+          if (policy.enabled(name)) instrument.record(value, policy.redact(attributes));
+        },
+      };
+    } else {
+      // Observable gauges are registered with the batch callback as they are
+      governed[key] = instrument;
+    }
+  }
+  return governed;
+}
+
+/**
+ * Create the exporter's OpenTelemetry instruments on the given meter.
+ * Shared by every collection root; roots are told apart by attributes.
+ *
+ * policy: { enabled(metricName), redact(attributes) }, from the config file
+ */
+export function createInstruments(meter, policy) {
+  // Instrument -> metric name, for the enable/disable toggles
+  const names = new Map();
+  const create = (method) => (name, options) => {
+    if (!METRIC_NAMES.includes(name)) throw new Error(`${name} is missing from METRIC_NAMES`);
+    const instrument = meter[method](name, options);
+    names.set(instrument, name);
+    return instrument;
+  };
+  const createCounter = create("createCounter");
+  const createObservableGauge = create("createObservableGauge");
+  const createHistogram = create("createHistogram");
+
+  // Counters for cumulative metrics - use "stats" prefix to avoid conflicts with native telemetry
+  const sessionCounter = createCounter("claude.code.stats.session.count", {
+    description: "Total count of Claude Code sessions (from stats cache)",
+    unit: "1",
+  });
+
+  const messageCounter = createCounter("claude.code.stats.message.count", {
+    description: "Total count of messages (from stats cache)",
+    unit: "1",
+  });
+
+  const toolCallCounter = createCounter("claude.code.stats.tool.usage", {
+    description: "Total count of tool calls (from transcripts or stats cache)",
+    unit: "1",
+  });
+
+  const tokenCounter = createCounter("claude.code.stats.token.usage", {
+    description: "Token usage by type and model (from transcripts or stats cache)",
+    unit: "tokens",
+  });
+
+  const costCounter = createCounter("claude.code.stats.cost.usage", {
+    description: "Cost in USD by model, reported by the stats cache or estimated from token usage (cost_source)",
+    unit: "USD",
+  });
+
+  // Gauges for point-in-time values - use "stats" prefix to avoid conflicts
+  const activeSessionsGauge = createObservableGauge("claude.code.stats.session.active", {
+    description: "Number of active sessions (from stats cache)",
+    unit: "1",
+  });
+
+  const sessionInfoGauge = createObservableGauge("claude.code.stats.session.info", {
+    description: "Active session information with metadata (from stats cache)",
+    unit: "1",
+  });
+
+  const activeTimeCounter = createCounter("claude.code.stats.active.time", {
+    description: "Cumulative active time (from transcript timestamps, per project, agent type and optionally session, or file activity)",
+    unit: "s",
+  });
+
+  const conversationCounter = createCounter("claude.code.stats.conversation.count", {
+    description: "Total count of Claude Code conversations (from project directories)",
+    unit: "1",
+  });
+
+  // Completed tool calls (tool_use paired with its tool_result in the transcripts)
+  const toolResultCounter = createCounter("claude.code.stats.tool.result.count", {
+    description: "Completed tool calls by tool_name and status (success or error), from transcripts",
+    unit: "1",
+  });
+
+  const toolDurationHistogram = createHistogram("claude.code.stats.tool.duration", {
+    description: "Time from a tool call to its result, by tool_name and status (from transcript timestamps)",
+    unit: "s",
+    advice: { explicitBucketBoundaries: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600] },
+  });
+
+  const resetCounter = createCounter("claude.code.stats.exporter.resets", {
+    description: "Times a source total went backwards and its delta baseline was reset",
+    unit: "1",
+  });
+
+  const queueDepthGauge = createObservableGauge("claude.code.stats.exporter.queue_depth", {
+    description: "Metric batches waiting in the on-disk queue for the OTLP collector to come back",
+    unit: "1",
+  });
+
+  // Exporter self-observability, to alert when an exporter stops producing data
+  const pollDurationHistogram = createHistogram("claude.code.stats.exporter.poll.duration", {
+    description: "Time taken to collect one data root (stats cache, transcripts and project scan)",
+    unit: "s",
+    advice: { explicitBucketBoundaries: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60] },
+  });
+
+  const lastSuccessGauge = createObservableGauge("claude.code.stats.exporter.last_success", {
+    description: "Unix time of the last poll of each data root that completed without an error",
+    unit: "s",
+  });
+
+  const filesScannedCounter = createCounter("claude.code.stats.exporter.files.scanned", {
+    description: "Transcript files checked for new lines, per data root",
+    unit: "1",
+  });
+
+  const parseErrorCounter = createCounter("claude.code.stats.exporter.parse_errors", {
+    description: "Inputs that could not be parsed, by kind (transcript_line, stats_cache, sessions_index, queued_batch, state_file) and data root",
+    unit: "1",
+  });
+
+  const stateSaveFailureCounter = createCounter("claude.code.stats.exporter.state_save_failures", {
+    description: "Failed writes of the exporter's state files, by file and data root",
+    unit: "1",
+  });
+
+  // Per-project breakdown (from transcripts), with an optional git_branch attribute
+  const projectSessionCounter = createCounter("claude.code.stats.project.session.count", {
+    description: "Sessions started, by project (from transcripts)",
+    unit: "1",
+  });
+
+  const projectMessageCounter = createCounter("claude.code.stats.project.message.count", {
+    description: "User prompts and assistant responses, by project (from transcripts)",
+    unit: "1",
+  });
+
+  const projectActiveTimeCounter = createCounter("claude.code.stats.project.active.time", {
+    description: "Active time by project (idle-gap mode: from transcript timestamps; file-activity mode: credited to each project with an active session)",
+    unit: "s",
+  });
+
+  // Session lifecycle (from transcripts), recorded when a session closes after
+  // the inactivity timeout. Buckets span one-off questions to day-long agentic runs.
+  const sessionDurationHistogram = createHistogram("claude.code.stats.session.duration", {
+    description: "Session length from first to last transcript entry, recorded when the session ends",
+    unit: "s",
+    advice: { explicitBucketBoundaries: [30, 60, 300, 600, 1800, 3600, 7200, 14400, 28800, 86400] },
+  });
+
+  const sessionTurnsHistogram = createHistogram("claude.code.stats.session.turns", {
+    description: "User prompts and assistant responses per session, by type",
+    unit: "1",
+    advice: { explicitBucketBoundaries: [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000] },
+  });
+
+  const sessionToolCallsHistogram = createHistogram("claude.code.stats.session.tool_calls", {
+    description: "Tool calls per session",
+    unit: "1",
+    advice: { explicitBucketBoundaries: [0, 1, 5, 10, 25, 50, 100, 250, 500, 1000] },
+  });
+
+  const sessionTokensHistogram = createHistogram("claude.code.stats.session.tokens", {
+    description: "Tokens per session (input, output and cache)",
+    unit: "tokens",
+    advice: { explicitBucketBoundaries: [1000, 10000, 50000, 100000, 500000, 1000000, 5000000, 10000000, 50000000] },
+  });
+
+  // Per-request prompt and response size (from transcript usage), for spotting
+  // sessions running near the context limit. Buckets follow the common context windows.
+  const contextSizeHistogram = createHistogram("claude.code.stats.request.context_size", {
+    description: "Prompt size of each assistant response (input + cache read + cache creation tokens), by model",
+    unit: "tokens",
+    advice: { explicitBucketBoundaries: [1000, 5000, 10000, 25000, 50000, 100000, 150000, 200000, 300000, 500000, 1000000] },
+  });
+
+  const outputSizeHistogram = createHistogram("claude.code.stats.request.output_size", {
+    description: "Output tokens of each assistant response, by model",
+    unit: "tokens",
+    advice: { explicitBucketBoundaries: [100, 250, 500, 1000, 2000, 4000, 8000, 16000, 32000, 64000] },
+  });
+
+  const cacheHitRatioGauge = createObservableGauge("claude.code.stats.cache.hit_ratio", {
+    description: "Share of prompt tokens read from the prompt cache over the trailing window, by model and project (from transcripts)",
+    unit: "1",
+  });
+
+  // Share of each configured budget used in its current window (1 = limit reached)
+  const budgetUtilizationGauge = createObservableGauge("claude.code.stats.budget.utilization", {
+    description: "Fraction of each token/cost budget used in the current daily, weekly or monthly window",
+    unit: "1",
+  });
+
+  return applyPolicy({
+    sessionCounter,
+    messageCounter,
+    toolCallCounter,
+    toolResultCounter,
+    toolDurationHistogram,
+    tokenCounter,
+    costCounter,
+    activeSessionsGauge,
+    sessionInfoGauge,
+    activeTimeCounter,
+    conversationCounter,
+    resetCounter,
+    queueDepthGauge,
+    pollDurationHistogram,
+    lastSuccessGauge,
+    filesScannedCounter,
+    parseErrorCounter,
+    stateSaveFailureCounter,
+    projectSessionCounter,
+    projectMessageCounter,
+    projectActiveTimeCounter,
+    budgetUtilizationGauge,
+    sessionDurationHistogram,
+    sessionTurnsHistogram,
+    sessionToolCallsHistogram,
+    sessionTokensHistogram,
+    contextSizeHistogram,
+    outputSizeHistogram,
+    cacheHitRatioGauge,
+  }, names, policy);
+}
@@ -0,0 +1,51 @@
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const LOG_FORMATS = ["json", "text"];
+
+const logConfig = {
+  level: "info",
+  format: "json",
+  // One-shot commands and dry runs keep stdout for their own output
+  stderrOnly: false,
+};
+
+/**
+ * Set the minimum level, the format ("json": one object per line with time,
+ * level, msg and the fields; "text": the message followed by key=value fields)
+ * and whether everything goes to stderr. Warnings and errors always do.
+ */
+export function configureLogger({ level, format, stderrOnly }) {
+  if (level !== undefined) logConfig.level = level;
+  if (format !== undefined) logConfig.format = format;
+  if (stderrOnly !== undefined) logConfig.stderrOnly = stderrOnly;
+}
+
+function formatText(message, fields) {
+  const pairs = Object.entries(fields).map(([key, value]) =>
+    `${key}=${typeof value === "string" && !/\s/.test(value) ? value : JSON.stringify(value)}`);
+  return pairs.length > 0 ? `${message} ${pairs.join(" ")}` : message;
+}
+
+function write(level, message, fields) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logConfig.level)) return;
+  const line = logConfig.format === "json"
+    ? JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...fields })
+    : formatText(message, fields);
+  const stream = logConfig.stderrOnly || level === "warn" || level === "error" ? process.stderr : process.stdout;
+  stream.write(line + "\n");
+}
+
+/**
+ * A logger with debug/info/warn/error(message, fields) methods. Fields given
+ * here are added to every line; child() adds more (e.g. the data root).
+ */
+export function createLogger(context = {}) {
+  const logger = {
+    child: (fields) => createLogger({ ...context, ...fields }),
+  };
+  for (const level of LOG_LEVELS) {
+    logger[level] = (message, fields = {}) => write(level, message, { ...context, ...fields });
+  }
+  return logger;
+}
+
+export const log = createLogger();
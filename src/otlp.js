@@ -0,0 +1,124 @@
+import { readFileSync } from "fs";
+import { credentials } from "@grpc/grpc-js";
+import { OTLPMetricExporter as GrpcMetricExporter } from "@opentelemetry/exporter-metrics-otlp-grpc";
+import { OTLPMetricExporter as HttpJsonMetricExporter, AggregationTemporalityPreference } from "@opentelemetry/exporter-metrics-otlp-http";
+import { OTLPMetricExporter as HttpProtobufMetricExporter } from "@opentelemetry/exporter-metrics-otlp-proto";
+import { OTLPLogExporter as GrpcLogExporter } from "@opentelemetry/exporter-logs-otlp-grpc";
+import { OTLPLogExporter as HttpJsonLogExporter } from "@opentelemetry/exporter-logs-otlp-http";
+import { OTLPLogExporter as HttpProtobufLogExporter } from "@opentelemetry/exporter-logs-otlp-proto";
+
+const PROTOCOLS = ["grpc", "http/protobuf", "http/json"];
+
+const TEMPORALITIES = {
+  cumulative: AggregationTemporalityPreference.CUMULATIVE,
+  delta: AggregationTemporalityPreference.DELTA,
+  lowmemory: AggregationTemporalityPreference.LOWMEMORY,
+};
+
+// Default collector in the docker-compose setup
+const DEFAULT_GRPC_ENDPOINT = "http://otel-collector:4317";
+const DEFAULT_HTTP_ENDPOINT = "http://otel-collector:4318";
+
+// Signal-specific variable first, then the generic one (per the OTLP exporter spec)
+function otlpEnv(env, signal, name) {
+  return env[`OTEL_EXPORTER_OTLP_${signal.toUpperCase()}_${name}`] || env[`OTEL_EXPORTER_OTLP_${name}`] || "";
+}
+
+/**
+ * Resolve the OTLP exporter settings for a signal ("metrics" or "logs") from
+ * the standard environment variables:
+ *   OTEL_EXPORTER_OTLP_[<SIGNAL>_]PROTOCOL    grpc (default), http/protobuf or http/json
+ *   OTEL_EXPORTER_OTLP_[<SIGNAL>_]ENDPOINT    collector URL; the generic one gets
+ *                                             /v1/metrics or /v1/logs appended for the HTTP protocols
+ *   OTEL_EXPORTER_OTLP_[<SIGNAL>_]HEADERS     "key=value,..." (e.g. Authorization=Bearer%20<token>),
+ *                                             read by the exporters themselves
+ *   OTEL_EXPORTER_OTLP_[<SIGNAL>_]CERTIFICATE, _CLIENT_KEY, _CLIENT_CERTIFICATE
+ *                                             PEM files for TLS and mutual TLS
+ *   OTEL_EXPORTER_OTLP_METRICS_TEMPORALITY_PREFERENCE  cumulative (default), delta or lowmemory
+ *
+ * Throws on an unknown protocol or temporality.
+ */
+export function resolveOtlpConfig(env = process.env, signal = "metrics") {
+  const protocol = otlpEnv(env, signal, "PROTOCOL") || "grpc";
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new Error(`Unsupported OTLP protocol "${protocol}" (expected ${PROTOCOLS.join(", ")})`);
+  }
+
+  const temporality = (env.OTEL_EXPORTER_OTLP_METRICS_TEMPORALITY_PREFERENCE || "cumulative").trim().toLowerCase();
+  if (!(temporality in TEMPORALITIES)) {
+    throw new Error(`Unsupported temporality preference "${temporality}" (expected ${Object.keys(TEMPORALITIES).join(", ")})`);
+  }
+
+  let url;
+  if (protocol === "grpc") {
+    url = otlpEnv(env, signal, "ENDPOINT") || DEFAULT_GRPC_ENDPOINT;
+  } else if (env[`OTEL_EXPORTER_OTLP_${signal.toUpperCase()}_ENDPOINT`]) {
+    url = env[`OTEL_EXPORTER_OTLP_${signal.toUpperCase()}_ENDPOINT`];
+  } else {
+    url = `${(env.OTEL_EXPORTER_OTLP_ENDPOINT || DEFAULT_HTTP_ENDPOINT).replace(/\/+$/, "")}/v1/${signal}`;
+  }
+
+  return {
+    protocol,
+    url,
+    temporality,
+    tls: {
+      ca: otlpEnv(env, signal, "CERTIFICATE"),
+      key: otlpEnv(env, signal, "CLIENT_KEY"),
+      cert: otlpEnv(env, signal, "CLIENT_CERTIFICATE"),
+    },
+  };
+}
+
+// PEM file contents, or undefined when not configured
+function readPem(path, what) {
+  if (!path) return undefined;
+  try {
+    return readFileSync(path);
+  } catch (e) {
+    throw new Error(`Could not read OTLP ${what} ${path}: ${e.message}`);
+  }
+}
+
+// Exporter options for the configured transport and TLS files
+function transportOptions(config) {
+  const options = { url: config.url };
+
+  const ca = readPem(config.tls.ca, "certificate");
+  const key = readPem(config.tls.key, "client key");
+  const cert = readPem(config.tls.cert, "client certificate");
+  if (ca || key || cert) {
+    if (config.protocol === "grpc") {
+      options.credentials = credentials.createSsl(ca || null, key || null, cert || null);
+    } else {
+      options.httpAgentOptions = { ca, key, cert };
+    }
+  }
+  return options;
+}
+
+/**
+ * Create the metric exporter for the configured transport.
+ */
+export function createOtlpMetricExporter(config) {
+  const options = {
+    ...transportOptions(config),
+    temporalityPreference: TEMPORALITIES[config.temporality],
+  };
+  if (config.protocol === "grpc") return new GrpcMetricExporter(options);
+  return config.protocol === "http/json"
+    ? new HttpJsonMetricExporter(options)
+    : new HttpProtobufMetricExporter(options);
+}
+
+/**
+ * Create the log record exporter for the configured transport
+ * (resolveOtlpConfig(env, "logs")).
+ */
+export function createOtlpLogExporter(config) {
+  const options = transportOptions(config);
+  if (config.protocol === "grpc") return new GrpcLogExporter(options);
+  return config.protocol === "http/json"
+    ? new HttpJsonLogExporter(options)
+    : new HttpProtobufLogExporter(options);
+}
@@ -0,0 +1,74 @@
+import { readFileSync } from "fs";
+import { log } from "./logger.js";
+
+// USD per million tokens, keyed by model ID prefix (date suffixes are ignored).
+// cacheWrite is the 5-minute cache write price.
+export const DEFAULT_PRICING = {
+  "claude-opus-4-5": { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  "claude-opus-4-1": { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  "claude-opus-4": { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  "claude-sonnet-4-5": { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  "claude-sonnet-4": { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  "claude-haiku-4-5": { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  "claude-3-7-sonnet": { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  "claude-3-5-sonnet": { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  "claude-3-5-haiku": { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  "claude-3-opus": { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  "claude-3-haiku": { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 },
+};
+
+const PRICE_FIELDS = ["input", "output", "cacheRead", "cacheWrite"];
+
+/**
+ * Load the pricing table: the bundled defaults merged with an optional JSON
+ * override file of the same shape ({"model-prefix": {input, output, cacheRead,
+ * cacheWrite}}). Entries in the override replace defaults with the same key.
+ */
+export function loadPricing(overridePath) {
+  const pricing = { ...DEFAULT_PRICING };
+  if (!overridePath) return pricing;
+
+  try {
+    const overrides = JSON.parse(readFileSync(overridePath, "utf8"));
+    for (const [model, prices] of Object.entries(overrides)) {
+      const invalid = PRICE_FIELDS.filter((field) => typeof prices[field] !== "number" || prices[field] < 0);
+      if (invalid.length > 0) {
+        log.warn(`Ignoring pricing for ${model}: invalid ${invalid.join(", ")}`);
+        continue;
+      }
+      pricing[model] = prices;
+    }
+    log.info(`Loaded pricing overrides for ${Object.keys(overrides).length} models from ${overridePath}`);
+  } catch (e) {
+    log.warn(`Could not load pricing file ${overridePath}: ${e.message}`);
+  }
+
+  return pricing;
+}
+
+// Find the prices for a model ID by longest matching prefix
+export function findModelPricing(pricing, model) {
+  const id = model.replace(/-\d{8}$/, "");
+  let match = null;
+  for (const prefix of Object.keys(pricing)) {
+    if (id.startsWith(prefix) && (!match || prefix.length > match.length)) {
+      match = prefix;
+    }
+  }
+  return match ? pricing[match] : null;
+}
+
+/**
+ * Estimate the API-equivalent cost of a token breakdown ({input, output,
+ * cacheRead, cacheWrite}). Returns null when the model isn't priced.
+ */
+export function estimateCost(pricing, model, tokens) {
+  const prices = findModelPricing(pricing, model);
+  if (!prices) return null;
+
+  let cost = 0;
+  for (const field of PRICE_FIELDS) {
+    cost += ((tokens[field] || 0) * prices[field]) / 1_000_000;
+  }
+  return cost;
+}
@@ -0,0 +1,57 @@
+// Label for projects folded away by the allowlist/denylist or the top-N cap
+export const OTHER_PROJECT = "other";
+
+// Turn a path pattern into a regex: "*" matches within one path segment,
+// "**" across segments. A pattern without wildcards matches the path and
+// everything below it.
+function patternToRegex(pattern) {
+  const trimmed = pattern.replace(/\/+$/, "");
+  const escaped = trimmed
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*\*/g, "\u0000")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\u0000/g, ".*");
+  return new RegExp(`^${escaped}${trimmed.includes("*") ? "" : "(/.*)?"}$`);
+}
+
+export function parsePatternList(value) {
+  return (value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Cardinality control for the project attribute.
+ *
+ * A project keeps its own label if it matches the allowlist (when one is
+ * set), doesn't match the denylist, and is among the topN largest projects
+ * (when topN > 0). Everything else is reported as "other".
+ */
+export function createProjectFilter({ allow = [], deny = [], topN = 0 }) {
+  const allowRegexes = allow.map(patternToRegex);
+  const denyRegexes = deny.map(patternToRegex);
+  let topProjects = null; // null until the first ranking; then a Set of paths
+
+  function isListed(path) {
+    if (allowRegexes.length > 0 && !allowRegexes.some((re) => re.test(path))) return false;
+    return !denyRegexes.some((re) => re.test(path));
+  }
+
+  // Re-rank projects by size (project path -> bytes of transcripts on disk)
+  function rank(sizesByProject) {
+    if (topN <= 0) return;
+    topProjects = new Set(
+      Object.entries(sizesByProject)
+        .filter(([path]) => isListed(path))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topN)
+        .map(([path]) => path)
+    );
+  }
+
+  function label(path) {
+    if (!path || !isListed(path)) return OTHER_PROJECT;
+    if (topProjects && !topProjects.has(path)) return OTHER_PROJECT;
+    return path;
+  }
+
+  return { rank, label };
+}
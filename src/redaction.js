@@ -0,0 +1,97 @@
+import { readFileSync } from "fs";
+import { extname } from "path";
+import { createHash } from "crypto";
+import { parse as parseYaml } from "yaml";
+
+// "drop" removes the attribute, "truncate" keeps the first `length` characters,
+// "hash" replaces the value with a salted SHA-256 prefix (stable, so series stay
+// distinguishable), "mask" replaces every match of `pattern` with `replacement`
+// (default "***")
+export const REDACTION_ACTIONS = ["drop", "truncate", "hash", "mask"];
+
+// Attributes holding project paths, renamed by the alias mapping
+const PATH_ATTRIBUTES = ["project", "directory"];
+
+/**
+ * Load a project alias mapping (YAML for .yaml/.yml, JSON otherwise):
+ *   { "/home/alice/clients/acme": "client-a", "/work/secret-project": "internal" }
+ * Returns [[path, alias]] sorted longest path first.
+ */
+export function loadProjectAliases(path) {
+  const content = readFileSync(path, "utf8");
+  const mapping = [".yaml", ".yml"].includes(extname(path).toLowerCase()) ? parseYaml(content) : JSON.parse(content);
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new Error(`Project aliases ${path} must be a mapping of path to alias`);
+  }
+  for (const [projectPath, alias] of Object.entries(mapping)) {
+    if (typeof alias !== "string") {
+      throw new Error(`Project aliases ${path}: alias for ${projectPath} must be a string`);
+    }
+  }
+  return Object.entries(mapping)
+    .map(([projectPath, alias]) => [projectPath.replace(/\/+$/, ""), alias])
+    .sort((a, b) => b[0].length - a[0].length);
+}
+
+// Replace the longest aliased path prefix ("/work/acme/api" -> "client-a/api")
+function applyAlias(aliases, value) {
+  for (const [projectPath, alias] of aliases) {
+    if (value === projectPath) return alias;
+    if (value.startsWith(`${projectPath}/`)) return alias + value.slice(projectPath.length);
+  }
+  return value;
+}
+
+function hashValue(salt, value) {
+  return createHash("sha256").update(`${salt}:${value}`).digest("hex").slice(0, 16);
+}
+
+/**
+ * Build a function applying the project aliases and then the config's
+ * redaction rules to a metric's attributes. Rules run in order; attributes
+ * without a rule pass unchanged.
+ *
+ * A rule targets one attribute or a list: { attribute: ["title", "directory"], action: "hash" }
+ */
+export function createRedactor(rules = [], { salt = "", aliases = [] } = {}) {
+  if (rules.length === 0 && aliases.length === 0) return (attributes) => attributes;
+
+  const compiled = rules.map((rule) => ({
+    ...rule,
+    attributes: Array.isArray(rule.attribute) ? rule.attribute : [rule.attribute],
+    regex: rule.action === "mask" ? new RegExp(rule.pattern, "g") : null,
+    replacement: rule.replacement !== undefined ? String(rule.replacement) : "***",
+    salt: rule.salt !== undefined ? String(rule.salt) : salt,
+  }));
+
+  return (attributes) => {
+    if (!attributes) return attributes;
+    const redacted = { ...attributes };
+
+    if (aliases.length > 0) {
+      for (const name of PATH_ATTRIBUTES) {
+        if (typeof redacted[name] === "string") {
+          redacted[name] = applyAlias(aliases, redacted[name]);
+        }
+      }
+    }
+
+    for (const rule of compiled) {
+      for (const name of rule.attributes) {
+        if (!(name in redacted)) continue;
+        const value = String(redacted[name]);
+        if (rule.action === "drop") {
+          delete redacted[name];
+        } else if (rule.action === "truncate") {
+          redacted[name] = value.slice(0, rule.length);
+        } else if (rule.action === "hash") {
+          // Keep empty values empty (e.g. sessions without a title)
+          redacted[name] = value ? hashValue(rule.salt, value) : value;
+        } else {
+          redacted[name] = value.replace(rule.regex, rule.replacement);
+        }
+      }
+    }
+    return redacted;
+  };
+}
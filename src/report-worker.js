@@ -0,0 +1,5 @@
+import { parentPort, workerData } from "worker_threads";
+import { buildReport } from "./report.js";
+
+// Entry point of buildReportInWorker: build the report and hand it back
+parentPort.postMessage(buildReport(workerData));
@@ -0,0 +1,196 @@
+import { join } from "path";
+import { Worker } from "worker_threads";
+import { estimateCost } from "./pricing.js";
+import { buildDailyHistory } from "./history.js";
+import { idleGapIntervals } from "./active-time.js";
+import { createTranscriptReader, decodeProjectDir, readProjectPath, extractUsage, isUserPrompt } from "./transcripts.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local YYYY-MM-DD of a timestamp
+export function localDate(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Summarize one data root's usage between two local dates (YYYY-MM-DD, both
+ * inclusive), reading every transcript from the start. Nothing is persisted.
+ *
+ * Token and cost figures come from the transcripts (cost is estimated from the
+ * price table, since the stats cache only has lifetime totals); the stats
+ * cache's daily activity for the same days is included for comparison.
+ *
+ * Active time and sessions follow the exporter's rules: idle gaps (see
+ * idleGapIntervals), and a session ends after sessionTimeoutSeconds without
+ * entries, as in src/sessions.js (0 keeps a conversation as one session).
+ */
+export function buildReport({ dataDir, stats, from, to, pricing, idleThresholdSeconds, sessionTimeoutSeconds = 0 }) {
+  const start = new Date(`${from}T00:00:00`).getTime();
+  const end = new Date(`${to}T00:00:00`).getTime() + DAY_MS;
+
+  const models = {};   // model -> { input, output, cacheRead, cacheWrite, cost, messages }
+  const projects = {}; // project path -> { sessions, messages, toolCalls, tokens, cost, activeSeconds }
+  const activityEvents = []; // { time, sessionId, project }, put in time order once everything is read
+  const activeByHour = new Array(24).fill(0); // local hour of day -> active seconds
+  const unpricedModels = new Set();
+  const projectPaths = {};
+
+  const projectFor = (dir) => {
+    if (!(dir in projectPaths)) {
+      projectPaths[dir] = readProjectPath(join(dataDir, "projects", dir)) || decodeProjectDir(dir);
+    }
+    const path = projectPaths[dir];
+    if (!projects[path]) {
+      projects[path] = { sessions: 0, messages: 0, toolCalls: 0, tokens: 0, cost: 0, activeSeconds: 0 };
+    }
+    return path;
+  };
+
+  const reader = createTranscriptReader({ projectsDir: join(dataDir, "projects"), stateFile: null });
+  reader.poll((entry, context) => {
+    if (entry.type !== "user" && entry.type !== "assistant") return;
+    const time = Date.parse(entry.timestamp);
+    if (!time || time < start || time >= end) return;
+
+    const path = projectFor(context.projectDir);
+    const project = projects[path];
+    activityEvents.push({ time, sessionId: context.sessionId, project: path });
+
+    if (!entry.message) return;
+    if (entry.type === "user") {
+      if (isUserPrompt(entry)) project.messages++;
+      return;
+    }
+
+    // Tool uses are split over the lines of a response; usage repeats on each
+    project.toolCalls += context.toolUses.length;
+    const model = entry.message.model;
+    if (!model || model === "<synthetic>" || context.duplicate) return;
+    project.messages++;
+
+    const usage = extractUsage(entry.message);
+    if (!usage) return;
+    if (!models[model]) {
+      models[model] = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, cost: 0, messages: 0 };
+    }
+    const modelTotals = models[model];
+    modelTotals.messages++;
+    for (const key of ["input", "output", "cacheRead", "cacheWrite"]) {
+      modelTotals[key] += usage[key];
+      project.tokens += usage[key];
+    }
+    const cost = estimateCost(pricing, model, usage);
+    if (cost === null) {
+      unpricedModels.add(model);
+    } else {
+      modelTotals.cost += cost;
+      project.cost += cost;
+    }
+  });
+
+  for (const { event, seconds } of idleGapIntervals(activityEvents, {}, idleThresholdSeconds)) {
+    projects[event.project].activeSeconds += seconds;
+    activeByHour[new Date(event.time).getHours()] += seconds;
+  }
+
+  // Session spans ({ sessionId, project, start, end }), a new one after each
+  // gap longer than the session timeout
+  const sessions = [];
+  const openSpans = {}; // sessionId -> its latest span
+  const timeoutMs = sessionTimeoutSeconds * 1000;
+  for (const event of activityEvents.sort((a, b) => a.time - b.time)) {
+    const span = openSpans[event.sessionId];
+    if (span && (timeoutMs === 0 || event.time - span.end <= timeoutMs)) {
+      span.end = event.time;
+      continue;
+    }
+    const next = openSpans[event.sessionId] = { sessionId: event.sessionId, project: event.project, start: event.time, end: event.time };
+    sessions.push(next);
+    projects[event.project].sessions++;
+  }
+
+  const days = buildDailyHistory(stats).filter((row) => row.date >= from && row.date <= to);
+  const statsCache = stats ? {
+    days: days.length,
+    messages: days.reduce((sum, row) => sum + row.messages, 0),
+    sessions: days.reduce((sum, row) => sum + row.sessions, 0),
+    toolCalls: days.reduce((sum, row) => sum + row.toolCalls, 0),
+  } : null;
+
+  return {
+    from,
+    to,
+    models,
+    projects,
+    // Longest first: { sessionId, project, start, end } (ms)
+    sessions: sessions.sort((a, b) => (b.end - b.start) - (a.end - a.start)),
+    activeByHour,
+    unpricedModels: [...unpricedModels],
+    statsCache,
+    // Stats-cache daily activity in the range (see buildDailyHistory)
+    days,
+  };
+}
+
+/**
+ * buildReport on a worker thread, for reports made while the exporter runs:
+ * reading every transcript would otherwise hold up its HTTP endpoints, watcher
+ * and polls. The worker's reads don't show up in the exporter's self-metrics.
+ */
+export function buildReportInWorker(options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./report-worker.js", import.meta.url), { workerData: options });
+    worker.once("message", resolve);
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (code !== 0) reject(new Error(`report worker exited with code ${code}`));
+    });
+  });
+}
+
+// Plain-text table with right-aligned number columns
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map((row) => String(row[i]).length)));
+  const line = (cells) => cells
+    .map((cell, i) => (i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i])))
+    .join("  ");
+  return [line(headers), line(widths.map((width) => "-".repeat(width))), ...rows.map(line)].join("\n");
+}
+
+export function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, "0")}m` : `${minutes}m`;
+}
+
+export function formatReportTable(report, title) {
+  const number = (n) => Math.round(n).toLocaleString();
+  const usd = (n) => `$${n.toFixed(n > 0 && n < 1 ? 4 : 2)}`;
+  const lines = [`${title}: ${report.from} .. ${report.to}`, ""];
+
+  const modelRows = Object.entries(report.models)
+    .sort((a, b) => b[1].cost - a[1].cost)
+    .map(([model, t]) => [model, number(t.messages), number(t.input), number(t.output), number(t.cacheRead), number(t.cacheWrite), usd(t.cost)]);
+  lines.push(modelRows.length > 0
+    ? formatTable(["MODEL", "RESPONSES", "INPUT", "OUTPUT", "CACHE READ", "CACHE WRITE", "EST. COST"], modelRows)
+    : "No model usage in this range");
+  lines.push("");
+
+  const projectRows = Object.entries(report.projects)
+    .sort((a, b) => b[1].tokens - a[1].tokens)
+    .map(([path, p]) => [path, number(p.sessions), number(p.messages), number(p.toolCalls), number(p.tokens), usd(p.cost), formatDuration(p.activeSeconds)]);
+  if (projectRows.length > 0) {
+    lines.push(formatTable(["PROJECT", "SESSIONS", "MESSAGES", "TOOL CALLS", "TOKENS", "EST. COST", "ACTIVE"], projectRows));
+    lines.push("");
+  }
+
+  if (report.unpricedModels.length > 0) {
+    lines.push(`No pricing (cost not included): ${report.unpricedModels.join(", ")}`);
+  }
+  if (report.statsCache) {
+    const s = report.statsCache;
+    lines.push(`Stats cache (${s.days} days with activity): ${number(s.messages)} messages, ${number(s.sessions)} sessions, ${number(s.toolCalls)} tool calls`);
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,30 @@
+import { basename } from "path";
+
+// The exporter's own health counters, recorded wherever a problem is noticed.
+// Until bindSelfMetrics is called (one-shot commands never do) they are no-ops.
+// attributes are the root's source/user labels; global files pass none.
+let instruments = null;
+
+export function bindSelfMetrics(selfInstruments) {
+  instruments = selfInstruments;
+}
+
+// Transcript files checked for new lines
+export function recordFilesScanned(count, attributes = {}) {
+  if (instruments && count > 0) instruments.filesScannedCounter.add(count, attributes);
+}
+
+// Input that could not be parsed: kind is "transcript_line", "stats_cache",
+// "sessions_index", "queued_batch" or "state_file"
+export function recordParseError(kind, attributes = {}) {
+  if (instruments) instruments.parseErrorCounter.add(1, { ...attributes, kind });
+}
+
+// A state file that could not be written; labeled like the state command
+// names them (".exporter-active-time.json" -> "active-time")
+export function recordStateSaveFailure(path, attributes = {}) {
+  if (instruments) {
+    const file = basename(path).replace(/^\.exporter-/, "").replace(/\.json$/, "");
+    instruments.stateSaveFailureCounter.add(1, { ...attributes, file });
+  }
+}
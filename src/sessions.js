@@ -0,0 +1,95 @@
+import { extractUsage, isUserPrompt } from "./transcripts.js";
+import { log } from "./logger.js";
+
+/**
+ * Session lifecycle tracking from transcript entries. A session opens at its
+ * first user or assistant entry and closes once nothing was written to it for
+ * the inactivity timeout; an entry arriving after a longer gap closes the
+ * session and opens a new one (a resumed conversation counts as a new session).
+ *
+ * Open sessions are kept in the collector's state snapshot (snapshot() and
+ * load()) so they survive restarts.
+ * Closed sessions are passed to onClose as
+ *   { sessionId, projectDir, gitBranch, start, end, userTurns, assistantTurns, toolCalls, tokens }
+ * with start and end in ms.
+ */
+export function createSessionTracker({ onClose }) {
+  let open = {}; // sessionId -> session
+
+  function load(saved) {
+    open = saved || {};
+    log.info(`Loaded ${Object.keys(open).length} open sessions`);
+  }
+
+  function close(sessionId) {
+    const session = open[sessionId];
+    delete open[sessionId];
+    onClose({ sessionId, ...session, end: session.last });
+  }
+
+  // Add one transcript entry to its session. Returns whether a session was closed.
+  function record(entry, context, timeoutMs) {
+    if (entry.type !== "user" && entry.type !== "assistant") return false;
+    const time = Date.parse(entry.timestamp);
+    if (!time) return false;
+
+    let closed = false;
+    let session = open[context.sessionId];
+    if (session && time - session.last > timeoutMs) {
+      close(context.sessionId);
+      closed = true;
+      session = null;
+    }
+    if (!session) {
+      session = open[context.sessionId] = {
+        projectDir: context.projectDir,
+        gitBranch: "",
+        start: time,
+        last: time,
+        userTurns: 0,
+        assistantTurns: 0,
+        toolCalls: 0,
+        tokens: 0,
+      };
+    }
+
+    session.start = Math.min(session.start, time);
+    session.last = Math.max(session.last, time);
+    if (entry.gitBranch) session.gitBranch = entry.gitBranch;
+    if (!entry.message) return closed;
+
+    if (isUserPrompt(entry)) {
+      session.userTurns++;
+    } else if (entry.type === "assistant") {
+      // Tool uses are split over the lines of a response; usage repeats on each
+      session.toolCalls += context.toolUses.length;
+      const model = entry.message.model;
+      if (model && model !== "<synthetic>" && !context.duplicate) {
+        session.assistantTurns++;
+        const usage = extractUsage(entry.message);
+        if (usage) session.tokens += usage.input + usage.output + usage.cacheRead + usage.cacheWrite;
+      }
+    }
+    return closed;
+  }
+
+  // Close every session idle for longer than the timeout. Returns how many were closed.
+  function closeIdle(now, timeoutMs) {
+    let closed = 0;
+    for (const [sessionId, session] of Object.entries(open)) {
+      if (now - session.last > timeoutMs) {
+        close(sessionId);
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  return {
+    load,
+    snapshot: () => open,
+    record,
+    closeIdle,
+    openCount: () => Object.keys(open).length,
+  };
+}
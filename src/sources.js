@@ -0,0 +1,128 @@
+import { existsSync, readFileSync, statSync, mkdirSync, rmSync, renameSync, readdirSync, openSync, readSync, closeSync } from "fs";
+import { createHash } from "crypto";
+import { join } from "path";
+import { extract as extractTar } from "tar";
+import AdmZip from "adm-zip";
+import { log } from "./logger.js";
+import { writeFileAtomic } from "./state-store.js";
+
+const ARCHIVE_PATTERN = /\.(tar\.gz|tgz|zip)$/i;
+
+// Folders archivers add next to the real content
+const IGNORED_DIRS = ["__MACOSX"];
+
+export function isArchivePath(path) {
+  return ARCHIVE_PATTERN.test(path);
+}
+
+// SHA-256 of a file, read in chunks (archives can be large)
+export function hashFile(path) {
+  const hash = createHash("sha256");
+  const buffer = Buffer.alloc(1024 * 1024);
+  const fd = openSync(path, "r");
+  try {
+    let read;
+    while ((read = readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, read));
+    }
+  } finally {
+    closeSync(fd);
+  }
+  return hash.digest("hex");
+}
+
+// The snapshot's ~/.claude: the extraction root itself, or the single folder
+// it is wrapped in (".claude/", "backup/.claude/")
+function findDataDir(dir) {
+  let current = dir;
+  for (let depth = 0; depth < 3; depth++) {
+    if (existsSync(join(current, "projects")) || existsSync(join(current, "stats-cache.json"))) {
+      return current;
+    }
+    const dirs = readdirSync(current, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && !IGNORED_DIRS.includes(entry.name));
+    if (dirs.length !== 1) break;
+    current = join(current, dirs[0].name);
+  }
+  return null;
+}
+
+function extractArchive(path, target) {
+  mkdirSync(target, { recursive: true });
+  if (/\.zip$/i.test(path)) {
+    new AdmZip(path).extractAllTo(target, true);
+  } else {
+    extractTar({ file: path, cwd: target, sync: true });
+  }
+}
+
+/**
+ * Where a root's Claude data comes from:
+ *   "dir"      a ~/.claude directory, read in place (live, or a mounted copy)
+ *   "archive"  a .tar.gz/.tgz/.zip snapshot of one, extracted to cacheDir/data
+ *              and extracted again whenever the archive's size or mtime changes
+ *
+ * The collector always reads source.dataDir. refresh() brings it up to date
+ * (called before full scans) and returns whether the data was re-extracted;
+ * it throws when an archive can't be extracted or holds no Claude data.
+ */
+export function createSource(path, { cacheDir }) {
+  if (!isArchivePath(path)) {
+    return { kind: "dir", path, dataDir: path, refresh: () => false };
+  }
+
+  const dataDir = join(cacheDir, "data");
+  const markerFile = join(cacheDir, "source.json");
+
+  function readMarker() {
+    try {
+      return JSON.parse(readFileSync(markerFile, "utf8"));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function refresh() {
+    let stats;
+    try {
+      stats = statSync(path);
+    } catch (e) {
+      // Keep reading the last extraction until the archive is back
+      log.warn(`Could not read archive ${path}: ${e.message}`);
+      return false;
+    }
+    const marker = readMarker();
+    if (marker && marker.archive === path && marker.size === stats.size &&
+        marker.mtimeMs === stats.mtimeMs && existsSync(dataDir)) {
+      return false;
+    }
+
+    // Extract next to the current copy and swap, so a broken archive leaves it intact
+    const extracting = join(cacheDir, "extracting");
+    rmSync(extracting, { recursive: true, force: true });
+    try {
+      extractArchive(path, extracting);
+      const found = findDataDir(extracting);
+      if (!found) {
+        throw new Error("no projects/ or stats-cache.json found");
+      }
+      rmSync(dataDir, { recursive: true, force: true });
+      renameSync(found, dataDir);
+    } catch (e) {
+      throw new Error(`Could not extract archive ${path}: ${e.message}`);
+    } finally {
+      rmSync(extracting, { recursive: true, force: true });
+    }
+
+    writeFileAtomic(markerFile, JSON.stringify({
+      archive: path,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      extractedAt: new Date().toISOString(),
+    }));
+    log.info(`Extracted archive ${path} to ${dataDir}`);
+    return true;
+  }
+
+  return { kind: "archive", path, dataDir, refresh };
+}
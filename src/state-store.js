@@ -0,0 +1,232 @@
+import { readFileSync, writeFileSync, existsSync, renameSync, unlinkSync, openSync, fsyncSync, closeSync } from "fs";
+import { dirname, join } from "path";
+import { log } from "./logger.js";
+import { recordParseError, recordStateSaveFailure } from "./self-metrics.js";
+
+export const STATE_VERSION = 2;
+
+// Per-root state files written before the single snapshot (version 0)
+const LEGACY_FILES = {
+  activeTime: ".exporter-active-time.json",
+  seenConversations: ".exporter-seen-conversations.json",
+  exportedTotals: ".exporter-exported-totals.json",
+};
+
+// Reader and tracker state kept in files of their own up to version 1
+const SEPARATE_FILES = {
+  transcripts: ".exporter-transcript-offsets.json",
+  openSessions: ".exporter-sessions.json",
+  pendingToolCalls: ".exporter-tool-calls.json",
+};
+
+/**
+ * Replace path with content without ever leaving a half-written file: the
+ * content goes to a temporary file next to it, which is flushed to disk and
+ * then renamed over it. Without the flush, a power loss right after the rename
+ * can leave an empty file behind on some filesystems.
+ */
+export function writeFileAtomic(path, content) {
+  const temporary = `${path}.${process.pid}.tmp`;
+  try {
+    const fd = openSync(temporary, "w");
+    try {
+      writeFileSync(fd, content, "utf8");
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(temporary, path);
+  } catch (e) {
+    try {
+      unlinkSync(temporary);
+    } catch (cleanupError) {
+      // Never created
+    }
+    throw e;
+  }
+  syncDir(dirname(path));
+}
+
+// Flush a directory entry (the rename above). Best effort: some platforms
+// can't open or fsync a directory.
+function syncDir(dir) {
+  let fd;
+  try {
+    fd = openSync(dir, "r");
+    fsyncSync(fd);
+  } catch (e) {
+    // Not supported here
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
+
+// Seen conversation IDs ("project/session.jsonl", or a subagent's
+// "project/session/subagents/agent-x.jsonl") grouped by project, so each
+// project dir is stored once: { project: ["session", ...] }
+function groupConversationIds(ids) {
+  const grouped = {};
+  for (const id of ids) {
+    const slash = id.indexOf("/");
+    const project = id.slice(0, slash);
+    (grouped[project] = grouped[project] || []).push(id.slice(slash + 1).replace(/\.jsonl$/, ""));
+  }
+  return grouped;
+}
+
+function expandConversationIds(grouped) {
+  return Object.entries(grouped).flatMap(([project, sessions]) => sessions.map((session) => `${project}/${session}.jsonl`));
+}
+
+function readLegacyFile(dir, name) {
+  const path = join(dir, name);
+  if (!existsSync(path)) return null;
+  return JSON.parse(readFileSync(path, "utf8"));
+}
+
+// Version 0 -> 1: merge the three separate files into one snapshot
+function migrateLegacyFiles(dir) {
+  const activeTime = readLegacyFile(dir, LEGACY_FILES.activeTime);
+  const seen = readLegacyFile(dir, LEGACY_FILES.seenConversations);
+  const totals = readLegacyFile(dir, LEGACY_FILES.exportedTotals);
+  const separate = Object.values(SEPARATE_FILES).some((name) => existsSync(join(dir, name)));
+  if (!activeTime && !seen && !totals && !separate) return null;
+
+  return {
+    version: 1,
+    activeTime: {
+      cumulativeSeconds: activeTime ? activeTime.cumulativeSeconds || 0 : 0,
+      lastPollTime: activeTime ? activeTime.lastPollTime || null : null,
+      sessionLastEvent: activeTime ? activeTime.sessionLastEvent || {} : {},
+    },
+    seenConversations: groupConversationIds(seen ? seen.ids || [] : []),
+    exportedTotals: totals ? { metrics: totals.metrics, activeTimeSeconds: totals.activeTimeSeconds || 0 } : null,
+  };
+}
+
+// Upgrades from each older snapshot version, applied in order
+// (version -> function of the snapshot, state dir and root attributes returning the
+// snapshot at version + 1)
+const MIGRATIONS = {
+  // Transcript offsets, open sessions and pending tool calls move into the snapshot
+  1: (snapshot, dir, attributes) => {
+    // An unreadable one only loses its own part, as when it was loaded on its own
+    const read = (name) => {
+      try {
+        return readLegacyFile(dir, name);
+      } catch (e) {
+        recordParseError("state_file", attributes);
+        log.warn(`Could not migrate ${name}, starting it fresh: ${e.message}`);
+        return null;
+      }
+    };
+    const transcripts = read(SEPARATE_FILES.transcripts);
+    const sessions = read(SEPARATE_FILES.openSessions);
+    const tools = read(SEPARATE_FILES.pendingToolCalls);
+    return {
+      ...snapshot,
+      version: 2,
+      transcripts: transcripts
+        ? { files: transcripts.files || {}, seenMessages: transcripts.seenMessages || [], seenToolUses: transcripts.seenToolUses || [] }
+        : null,
+      openSessions: sessions ? sessions.open || {} : {},
+      pendingToolCalls: tools ? tools.pending || {} : {},
+    };
+  },
+};
+
+/**
+ * One root's collector state in a single versioned snapshot
+ * (.exporter-state.json): active time, seen conversations, the totals last
+ * turned into counter increments, the cache usage window, the transcript
+ * offsets, open sessions and pending tool calls. Saved atomically as a whole,
+ * so the parts never disagree after a crash.
+ *
+ * load() returns
+ *   { activeTime: { cumulativeSeconds, lastPollTime, sessionLastEvent },
+ *     seenConversationIds: [...], exportedTotals: { metrics, activeTimeSeconds } | null,
+ *     cacheUsage: { hourStart: { projectDir: { model: [...] } } },
+ *     transcripts: { files, seenMessages, seenToolUses } | null,
+ *     openSessions: { sessionId: session }, pendingToolCalls: { toolUseId: call } }
+ * or null when there is no state yet. The state files of older versions are
+ * migrated on load and removed after the first save. attributes label the
+ * self-metrics of problems with these files.
+ */
+export function createStateStore({ dir, attributes = {} }) {
+  const stateFile = join(dir, ".exporter-state.json");
+  let legacyFilesToRemove = false;
+
+  function load() {
+    let snapshot = null;
+    try {
+      if (existsSync(stateFile)) {
+        snapshot = JSON.parse(readFileSync(stateFile, "utf8"));
+      } else {
+        snapshot = migrateLegacyFiles(dir);
+        if (snapshot) {
+          legacyFilesToRemove = true;
+          log.info(`Migrating state files in ${dir} to ${stateFile}`);
+        }
+      }
+    } catch (e) {
+      recordParseError("state_file", attributes);
+      log.error(`Could not load state from ${dir}, starting fresh: ${e.message}`);
+      return null;
+    }
+    if (!snapshot) return null;
+
+    if (snapshot.version > STATE_VERSION) {
+      throw new Error(`State file ${stateFile} has version ${snapshot.version}, this exporter supports up to ${STATE_VERSION}`);
+    }
+    for (let version = snapshot.version; version < STATE_VERSION; version++) {
+      snapshot = MIGRATIONS[version](snapshot, dir, attributes);
+      legacyFilesToRemove = true;
+    }
+
+    return {
+      activeTime: snapshot.activeTime,
+      seenConversationIds: expandConversationIds(snapshot.seenConversations || {}),
+      exportedTotals: snapshot.exportedTotals,
+      // Optional: snapshots saved before the cache window was tracked have none
+      cacheUsage: snapshot.cacheUsage || {},
+      transcripts: snapshot.transcripts,
+      openSessions: snapshot.openSessions,
+      pendingToolCalls: snapshot.pendingToolCalls,
+    };
+  }
+
+  // Returns whether the snapshot was written
+  function save({ activeTime, seenConversationIds, exportedTotals, cacheUsage, transcripts, openSessions, pendingToolCalls }) {
+    try {
+      writeFileAtomic(stateFile, JSON.stringify({
+        version: STATE_VERSION,
+        activeTime,
+        seenConversations: groupConversationIds(seenConversationIds),
+        exportedTotals,
+        cacheUsage,
+        transcripts,
+        openSessions,
+        pendingToolCalls,
+        lastUpdated: new Date().toISOString(),
+      }));
+    } catch (e) {
+      log.error(`Failed to save state to ${stateFile}: ${e.message}`);
+      recordStateSaveFailure(stateFile, attributes);
+      return false;
+    }
+
+    if (legacyFilesToRemove) {
+      legacyFilesToRemove = false;
+      for (const name of [...Object.values(LEGACY_FILES), ...Object.values(SEPARATE_FILES)]) {
+        try {
+          unlinkSync(join(dir, name));
+        } catch (e) {
+          // Not there
+        }
+      }
+    }
+    return true;
+  }
+
+  return { load, save, stateFile };
+}
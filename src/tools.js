@@ -0,0 +1,76 @@
+import { extractToolResults } from "./transcripts.js";
+
+// Calls still waiting for a result this long after they were read are
+// forgotten (the session was killed or the result line never got written)
+const PENDING_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pairs the tool_use blocks of assistant entries with the tool_result blocks
+ * that answer them in later user entries. Each completed call is passed to
+ * onResult as { id, name, projectDir, sessionId, agentType, gitBranch, status,
+ * seconds, time }, where status is "error" when the result has is_error set,
+ * seconds is null when either entry has no timestamp and time is the result's
+ * (ms, or null).
+ *
+ * Calls waiting for their result are kept in the collector's state snapshot
+ * (snapshot() and load()), so a result written after a poll or a restart is
+ * still paired.
+ */
+export function createToolTracker({ onResult }) {
+  let pending = {}; // tool_use id -> { name, projectDir, time, seen }
+
+  function load(saved) {
+    pending = saved || {};
+  }
+
+  // Pending calls to persist, without the ones too old to still get a result
+  function snapshot() {
+    const cutoff = Date.now() - PENDING_MAX_AGE_MS;
+    for (const [id, call] of Object.entries(pending)) {
+      if (call.seen < cutoff) delete pending[id];
+    }
+    return pending;
+  }
+
+  // Returns the number of calls completed by this entry
+  function record(entry, context) {
+    if (!entry.message) return 0;
+    const time = Date.parse(entry.timestamp) || null;
+
+    if (entry.type === "assistant") {
+      for (const tool of context.toolUses) {
+        if (!tool.id) continue;
+        pending[tool.id] = { name: tool.name, projectDir: context.projectDir, time, seen: Date.now() };
+      }
+      return 0;
+    }
+
+    if (entry.type !== "user") return 0;
+    let completed = 0;
+    for (const result of extractToolResults(entry.message)) {
+      const call = pending[result.id];
+      // Calls made before the exporter started reading are skipped
+      if (!call) continue;
+      delete pending[result.id];
+      completed++;
+      onResult({
+        id: result.id,
+        name: call.name,
+        projectDir: call.projectDir,
+        sessionId: context.sessionId,
+        agentType: context.agentType,
+        gitBranch: entry.gitBranch || "",
+        status: result.isError ? "error" : "success",
+        seconds: call.time && time ? Math.max(time - call.time, 0) / 1000 : null,
+        time,
+      });
+    }
+    return completed;
+  }
+
+  return {
+    load,
+    snapshot,
+    record,
+  };
+}
@@ -0,0 +1,362 @@
+import { readFileSync, existsSync, readdirSync, statSync, openSync, readSync, closeSync } from "fs";
+import { join, basename } from "path";
+import { log } from "./logger.js";
+import { recordFilesScanned, recordParseError } from "./self-metrics.js";
+
+// Read transcripts in chunks so a large backfill never needs the whole file in memory
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+// Claude Code encodes the project path in the directory name ("/Users/me/app" -> "-Users-me-app")
+export function decodeProjectDir(dirName) {
+  return dirName.replace(/-/g, "/").replace(/^\//, "");
+}
+
+// Responses and tool calls remembered for duplicate detection across
+// transcripts (each, oldest dropped first)
+const MAX_SEEN_IDS = 10000;
+
+// Bytes read from the head of a transcript when looking for its cwd
+const PEEK_BYTES = 64 * 1024;
+
+/**
+ * Transcript files of one project dir, relative to it: "<session>.jsonl", and
+ * the subagent (Task tool) transcripts Claude Code writes either next to them
+ * ("agent-<id>.jsonl") or per session ("<session>/subagents/agent-<id>.jsonl").
+ * Throws if the dir can't be read.
+ */
+export function listProjectTranscripts(projectPath) {
+  const files = [];
+  for (const name of readdirSync(projectPath)) {
+    if (name.endsWith(".jsonl")) {
+      files.push(name);
+      continue;
+    }
+    const subagentsPath = join(projectPath, name, "subagents");
+    if (!existsSync(subagentsPath)) continue;
+    for (const file of readdirSync(subagentsPath)) {
+      if (file.endsWith(".jsonl")) files.push(`${name}/subagents/${file}`);
+    }
+  }
+  return files;
+}
+
+// Whether a transcript (relative to its project dir) belongs to a subagent
+export function isSubagentTranscript(file) {
+  return file.includes("/subagents/") || basename(file).startsWith("agent-");
+}
+
+/**
+ * Find the real path of a project directory: the projectPath recorded in its
+ * sessions-index.json, or the cwd of the first transcript entry that has one.
+ * Returns null when neither is available.
+ */
+export function readProjectPath(projectDirPath) {
+  try {
+    const indexPath = join(projectDirPath, "sessions-index.json");
+    if (existsSync(indexPath)) {
+      const index = JSON.parse(readFileSync(indexPath, "utf8"));
+      const entry = (index.entries || []).find((e) => e.projectPath);
+      if (entry) return entry.projectPath;
+    }
+
+    for (const file of readdirSync(projectDirPath)) {
+      if (!file.endsWith(".jsonl")) continue;
+      const fd = openSync(join(projectDirPath, file), "r");
+      try {
+        const buffer = Buffer.alloc(PEEK_BYTES);
+        const bytesRead = readSync(fd, buffer, 0, PEEK_BYTES, 0);
+        for (const line of buffer.subarray(0, bytesRead).toString("utf8").split("\n")) {
+          try {
+            const entry = JSON.parse(line);
+            if (entry.cwd) return entry.cwd;
+          } catch (e) {
+            // Partial or malformed line
+          }
+        }
+      } finally {
+        closeSync(fd);
+      }
+    }
+  } catch (e) {
+    // Unreadable project dir
+  }
+  return null;
+}
+
+// Normalize the usage block of an assistant message to the same shape as tokensByModel
+export function extractUsage(message) {
+  const usage = message && message.usage;
+  if (!usage) return null;
+  return {
+    input: usage.input_tokens || 0,
+    output: usage.output_tokens || 0,
+    cacheRead: usage.cache_read_input_tokens || 0,
+    cacheWrite: usage.cache_creation_input_tokens || 0,
+  };
+}
+
+// Names (and inputs) of the tool_use blocks in an assistant message
+export function extractToolUses(message) {
+  if (!message || !Array.isArray(message.content)) return [];
+  return message.content
+    .filter((block) => block && block.type === "tool_use")
+    .map((block) => ({ id: block.id, name: block.name || "unknown", input: block.input }));
+}
+
+// tool_result blocks in a user message, with the tool_use they answer
+export function extractToolResults(message) {
+  if (!message || !Array.isArray(message.content)) return [];
+  return message.content
+    .filter((block) => block && block.type === "tool_result" && block.tool_use_id)
+    .map((block) => ({ id: block.tool_use_id, isError: block.is_error === true }));
+}
+
+// A prompt typed by the user (not a tool result, injected meta message or the
+// task a subagent was given)
+export function isUserPrompt(entry) {
+  if (entry.type !== "user" || entry.isMeta || entry.isSidechain || !entry.message) return false;
+  const content = entry.message.content;
+  return typeof content === "string" ||
+    (Array.isArray(content) && !content.some((block) => block && block.type === "tool_result"));
+}
+
+/**
+ * Incremental reader for the conversation transcripts in projects/*\/*.jsonl
+ * (and the subagent transcripts, see listProjectTranscripts).
+ *
+ * Remembers a byte offset per file and only parses complete lines appended
+ * since the last poll. A file that shrank is assumed
+ * to have been rewritten and is read again from the start.
+ *
+ * The last MAX_SEEN_IDS responses (message ID + request ID) and tool_use IDs
+ * are kept with the offsets, so a response replayed into another transcript
+ * (a resumed or continued session) isn't counted again.
+ *
+ * snapshot() returns all of it as plain data, { files, seenMessages,
+ * seenToolUses }, for the collector's state snapshot; load() takes it back.
+ * attributes label the files-scanned and parse-error self-metrics.
+ */
+export function createTranscriptReader({ projectsDir, attributes = {} }) {
+  // relative path ("project/session.jsonl", "project/session/subagents/agent-x.jsonl")
+  // -> {offset, project}
+  let files = {};
+  // "<message id>:<request id>" of recent responses, in the order they were read
+  let seenMessages = new Set();
+  // tool_use IDs of recent tool calls, in the same order
+  let seenToolUses = new Set();
+
+  // Returns whether saved offsets were given (false on a first run)
+  function load(saved) {
+    if (!saved) return false;
+    files = saved.files || {};
+    seenMessages = new Set(saved.seenMessages || []);
+    seenToolUses = new Set(saved.seenToolUses || []);
+    log.info(`Loaded transcript offsets for ${Object.keys(files).length} files`);
+    return true;
+  }
+
+  function snapshot() {
+    return {
+      files,
+      seenMessages: [...seenMessages],
+      seenToolUses: [...seenToolUses],
+    };
+  }
+
+  function listTranscripts() {
+    const result = [];
+    if (!existsSync(projectsDir)) return result;
+
+    try {
+      for (const project of readdirSync(projectsDir)) {
+        const projectPath = join(projectsDir, project);
+        try {
+          if (!statSync(projectPath).isDirectory()) continue;
+          for (const file of listProjectTranscripts(projectPath)) {
+            result.push({ project, file, path: join(projectPath, file) });
+          }
+        } catch (e) {
+          // Skip directories we can't read
+          log.warn(`Skipping unreadable project dir ${projectPath}: ${e.message}`);
+        }
+      }
+    } catch (error) {
+      log.error(`Error listing transcripts: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  // Whether a key was read before (in any transcript); remembers it if not
+  function seenBefore(seen, key) {
+    if (seen.has(key)) return true;
+    seen.add(key);
+    if (seen.size > MAX_SEEN_IDS) {
+      seen.delete(seen.values().next().value);
+    }
+    return false;
+  }
+
+  // Pass the complete lines in [offset, size) to onLine(line, offset after its
+  // newline) and return the offset after the last newline
+  function readLines(path, offset, size, onLine) {
+    const fd = openSync(path, "r");
+    try {
+      let position = offset;
+      let pending = Buffer.alloc(0);
+      const chunk = Buffer.alloc(READ_CHUNK_BYTES);
+
+      while (position < size) {
+        const bytesRead = readSync(fd, chunk, 0, Math.min(READ_CHUNK_BYTES, size - position), position);
+        if (bytesRead === 0) break;
+        position += bytesRead;
+
+        let data = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+        let newline;
+        while ((newline = data.indexOf(10)) !== -1) {
+          const line = data.subarray(0, newline).toString("utf8");
+          data = data.subarray(newline + 1);
+          onLine(line, position - data.length);
+        }
+        pending = Buffer.from(data);
+      }
+
+      // A trailing partial line is left for the next poll
+      return position - pending.length;
+    } finally {
+      closeSync(fd);
+    }
+  }
+
+  /**
+   * Read everything appended since the last poll and call onEntry for each
+   * parsed transcript entry. Returns the number of entries read.
+   *
+   * onEntry receives (entry, context) where context carries the project
+   * (path and encoded directory name), session ID and transcript path, and
+   * sessionStart for the first entry of a new transcript. Assistant entries of
+   * a response already read (Claude Code writes one line per content block, and
+   * replays earlier responses into the transcript of a resumed session) get
+   * context.duplicate = true so usage isn't counted twice. context.toolUses
+   * holds the entry's tool_use blocks (see extractToolUses) minus the ones
+   * already read, so a replayed tool call isn't counted twice either.
+   *
+   * Subagent entries (sidechain entries, or anything in a subagent transcript)
+   * get context.agentType = "subagent" and the agentId; their sessionId is the
+   * parent session's. Everything else is agentType "main".
+   *
+   * With onlyKeys (a set of "project/file.jsonl"), only those transcripts
+   * are checked instead of walking the whole projects dir.
+   */
+  function poll(onEntry, onlyKeys = null) {
+    let entryCount = 0;
+    const present = new Set();
+
+    const transcripts = onlyKeys
+      ? Array.from(onlyKeys, (key) => {
+        const slash = key.indexOf("/");
+        const project = key.slice(0, slash);
+        const file = key.slice(slash + 1);
+        return { project, file, path: join(projectsDir, project, file) };
+      })
+      : listTranscripts();
+    recordFilesScanned(transcripts.length, attributes);
+
+    for (const { project, file, path } of transcripts) {
+      const key = `${project}/${file}`;
+      present.add(key);
+
+      let size;
+      try {
+        size = statSync(path).size;
+      } catch (e) {
+        continue;
+      }
+
+      const state = files[key] || { offset: 0, project: null };
+      if (size < state.offset) {
+        log.warn(`Transcript truncated, re-reading: ${key}`);
+        state.offset = 0;
+      }
+      if (size === state.offset) {
+        files[key] = state;
+        continue;
+      }
+
+      let sessionStart = state.offset === 0;
+      const subagentFile = isSubagentTranscript(file);
+      // Nested subagent transcripts live in a dir named after the parent session
+      const fallbackSessionId = file.includes("/") ? file.split("/")[0] : basename(file, ".jsonl");
+      // End of the last line handled, kept if reading stops part way: a line
+      // that made onEntry throw would otherwise be read (and counted) again every poll
+      let handledOffset = state.offset;
+      try {
+        state.offset = readLines(path, state.offset, size, (line, lineEnd) => {
+          handledOffset = lineEnd;
+          if (!line.trim()) return;
+
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (e) {
+            // Skip malformed lines
+            recordParseError("transcript_line", attributes);
+            log.debug(`Malformed line in transcript ${key}: ${e.message}`);
+            return;
+          }
+          if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+            recordParseError("transcript_line", attributes);
+            log.debug(`Line in transcript ${key} is not an object`);
+            return;
+          }
+
+          if (!state.project && entry.cwd) {
+            state.project = entry.cwd;
+          }
+
+          const context = {
+            project: state.project || decodeProjectDir(project),
+            projectDir: project,
+            sessionId: entry.sessionId || fallbackSessionId,
+            transcript: key,
+            agentType: entry.isSidechain || subagentFile ? "subagent" : "main",
+            agentId: entry.agentId || null,
+            sessionStart,
+            duplicate: false,
+            toolUses: [],
+          };
+          sessionStart = false;
+
+          if (entry.type === "assistant" && entry.message) {
+            if (entry.message.id) {
+              context.duplicate = seenBefore(seenMessages, `${entry.message.id}:${entry.requestId || ""}`);
+            }
+            // The later lines of a response carry its other tool_use blocks, so
+            // these are checked by their own IDs rather than by context.duplicate
+            context.toolUses = extractToolUses(entry.message)
+              .filter((tool) => !tool.id || !seenBefore(seenToolUses, tool.id));
+          }
+
+          entryCount++;
+          onEntry(entry, context);
+        });
+      } catch (e) {
+        log.error(`Error reading transcript ${key}: ${e.message}`);
+        state.offset = handledOffset;
+      }
+
+      files[key] = state;
+    }
+
+    // Forget offsets of transcripts that were deleted
+    if (!onlyKeys) {
+      for (const key of Object.keys(files)) {
+        if (!present.has(key)) delete files[key];
+      }
+    }
+
+    return entryCount;
+  }
+
+  return { load, snapshot, poll };
+}
@@ -0,0 +1,87 @@
+import { watch, accessSync, constants } from "fs";
+import { sep } from "path";
+import { log } from "./logger.js";
+
+// Whether fs.watch events can be trusted for this directory. Read-only mounts
+// (like the Docker /data:ro volume) are usually bind or network mounts where
+// inotify doesn't see writes made on the host, so they get polled instead.
+export function canWatch(dir) {
+  try {
+    accessSync(dir, constants.W_OK);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Sort a path relative to the data dir into the kind of change it represents
+function classifyChange(filename, changes) {
+  const parts = filename.split(sep);
+  const name = parts[parts.length - 1];
+
+  if (parts.length === 1 && name === "stats-cache.json") {
+    changes.statsCache = true;
+  } else if (parts[0] === "projects" && parts.length === 3) {
+    if (name === "sessions-index.json") {
+      changes.sessionIndex = true;
+    } else if (name.endsWith(".jsonl")) {
+      changes.transcripts.add(`${parts[1]}/${name}`);
+    }
+  } else if (parts[0] === "projects" && parts.length === 5 && parts[3] === "subagents" && name.endsWith(".jsonl")) {
+    // Subagent transcript of a session: projects/<project>/<session>/subagents/agent-<id>.jsonl
+    changes.transcripts.add(parts.slice(1).join("/"));
+  }
+  // Everything else (our own state files, debug logs, todos, ...) is ignored
+}
+
+/**
+ * Watch the Claude data dir recursively and call onChange with the batched
+ * changes once no event has arrived for debounceMs:
+ *   { statsCache: bool, sessionIndex: bool, transcripts: Set<"project/file.jsonl"> }
+ * (subagent transcripts as "project/session/subagents/agent-<id>.jsonl")
+ *
+ * Returns null when watching isn't supported here; onError is called if the
+ * watcher dies later so the caller can fall back to polling.
+ */
+export function watchDataDir(dir, { debounceMs, onChange, onError }) {
+  let changes = null;
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const batch = changes;
+    changes = null;
+    onChange(batch);
+  };
+
+  let watcher;
+  try {
+    watcher = watch(dir, { recursive: true, persistent: true }, (eventType, filename) => {
+      if (!filename) return;
+
+      const pending = changes || { statsCache: false, sessionIndex: false, transcripts: new Set() };
+      classifyChange(filename.toString(), pending);
+      if (!pending.statsCache && !pending.sessionIndex && pending.transcripts.size === 0) return;
+      changes = pending;
+
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(flush, debounceMs);
+    });
+  } catch (e) {
+    log.warn(`File watching unavailable: ${e.message}`);
+    return null;
+  }
+
+  watcher.on("error", (error) => {
+    if (timer) clearTimeout(timer);
+    watcher.close();
+    onError(error);
+  });
+
+  return {
+    close() {
+      if (timer) clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
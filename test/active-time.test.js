@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { idleGapIntervals } from "../src/active-time.js";
+
+const SECOND = 1000;
+
+// Seconds per agent type
+function totals(intervals) {
+  const byAgent = {};
+  for (const { event, seconds } of intervals) {
+    byAgent[event.agentType] = (byAgent[event.agentType] || 0) + seconds;
+  }
+  return byAgent;
+}
+
+const main = [0, 10, 200, 210].map((s) => ({ time: s * SECOND, sessionId: "s1", agentType: "main" }));
+const subagent = [20, 60, 100, 140, 180].map((s) => ({ time: s * SECOND, sessionId: "s1", agentType: "subagent" }));
+
+test("interleaves a session's transcripts by time, whichever is read first", () => {
+  const expected = { main: 40, subagent: 170 };
+  assert.deepEqual(totals(idleGapIntervals([...main, ...subagent], {}, 300)), expected);
+  assert.deepEqual(totals(idleGapIntervals([...subagent, ...main], {}, 300)), expected);
+});
+
+test("gaps over the idle threshold don't count", () => {
+  const events = [0, 30, 200, 220].map((s) => ({ time: s * SECOND, sessionId: "s1", agentType: "main" }));
+  assert.deepEqual(idleGapIntervals(events, {}, 60).map(({ seconds }) => seconds), [30, 20]);
+});
+
+test("carries the last event of each session over to the next call", () => {
+  const lastEvents = {};
+  idleGapIntervals([{ time: 0, sessionId: "s1" }, { time: 0, sessionId: "s2" }], lastEvents, 300);
+  assert.deepEqual(lastEvents, { s1: 0, s2: 0 });
+
+  const later = idleGapIntervals([{ time: 50 * SECOND, sessionId: "s1" }, { time: -10 * SECOND, sessionId: "s2" }], lastEvents, 300);
+  assert.deepEqual(later.map(({ event, seconds }) => [event.sessionId, seconds]), [["s1", 50]]);
+  assert.deepEqual(lastEvents, { s1: 50 * SECOND, s2: 0 });
+});
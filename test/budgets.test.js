@@ -0,0 +1,109 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createBudgetTracker } from "../src/budgets.js";
+import { startWebhookServer } from "./helpers/webhook-server.js";
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "budgets-"));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function createTracker(webhook) {
+  return createBudgetTracker({
+    config: {
+      webhook,
+      thresholds: [0.8, 1],
+      budgets: [{ name: "daily-tokens", period: "daily", metric: "tokens", limit: 1000 }],
+    },
+    stateFile: join(dir, ".exporter-budgets.json"),
+  });
+}
+
+function recordTokens(tracker, tokens) {
+  tracker.record({ time: Date.now(), user: "dev", instance: "vm", model: "claude-sonnet-4-5", project: "/work/app", tokens, cost: 0 });
+}
+
+test("posts each crossed threshold to the webhook once", async () => {
+  const server = await startWebhookServer();
+  try {
+    const tracker = createTracker(server.url);
+    recordTokens(tracker, 500);
+    await tracker.check();
+    assert.equal(server.requests.length, 0);
+
+    recordTokens(tracker, 400);
+    await tracker.check();
+    await tracker.check();
+    assert.equal(server.requests.length, 1);
+    assert.equal(server.requests[0].budget, "daily-tokens");
+    assert.equal(server.requests[0].threshold, 0.8);
+    assert.equal(server.requests[0].usage, 900);
+
+    recordTokens(tracker, 200);
+    await tracker.check();
+    assert.equal(server.requests.length, 2);
+    assert.equal(server.requests[1].threshold, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test("a crossing of several thresholds only posts the highest", async () => {
+  const server = await startWebhookServer();
+  try {
+    const tracker = createTracker(server.url);
+    recordTokens(tracker, 1500);
+    await tracker.check();
+    assert.deepEqual(server.requests.map((request) => request.threshold), [1]);
+  } finally {
+    await server.close();
+  }
+});
+
+test("a failed POST is sent again on the next check", async () => {
+  const server = await startWebhookServer((n) => (n === 1 ? 500 : 200));
+  try {
+    const tracker = createTracker(server.url);
+    recordTokens(tracker, 850);
+    await tracker.check();
+    assert.equal(server.requests.length, 1);
+
+    await tracker.check();
+    assert.equal(server.requests.length, 2);
+    assert.equal(server.requests[1].threshold, 0.8);
+
+    await tracker.check();
+    assert.equal(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test("a threshold whose POST failed is still sent after a restart", async () => {
+  const server = await startWebhookServer();
+  const unreachable = server.url;
+  await server.close();
+
+  const tracker = createTracker(unreachable);
+  recordTokens(tracker, 850);
+  await tracker.check();
+
+  const back = await startWebhookServer();
+  try {
+    const restarted = createTracker(back.url);
+    restarted.load();
+    await restarted.check();
+    assert.equal(back.requests.length, 1);
+    assert.equal(back.requests[0].threshold, 0.8);
+  } finally {
+    await back.close();
+  }
+});
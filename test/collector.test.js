@@ -0,0 +1,131 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createCollector } from "../src/collector.js";
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "collector-"));
+  mkdirSync(join(dir, "projects"));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Instruments that remember what was added to them, by instrument name
+function createRecordingInstruments() {
+  const calls = {};
+  const instruments = new Proxy({}, {
+    get: (target, name) => target[name] = target[name] || {
+      add: (value, attributes) => (calls[name] = calls[name] || []).push({ value, attributes }),
+      record: (value, attributes) => (calls[name] = calls[name] || []).push({ value, attributes }),
+    },
+  });
+  return { instruments, calls };
+}
+
+function createTestCollector(instruments) {
+  const collector = createCollector({
+    root: { name: "dev", user: "dev", instance: "vm", dataDir: dir, stateDir: dir },
+    instruments,
+    options: {
+      usageSource: "stats-cache",
+      activeSessionHours: 1,
+      activeTimeMode: "file-activity",
+      idleThresholdSeconds: 300,
+      sessionTimeoutSeconds: 0,
+      cacheRatioWindowHours: 24,
+      pricing: {},
+      projects: { allow: [], deny: [], topN: 0, gitBranch: false },
+    },
+  });
+  collector.load();
+  return collector;
+}
+
+function writeStats(totalSessions, inputTokens, costUSD) {
+  writeFileSync(join(dir, "stats-cache.json"), JSON.stringify({
+    totalSessions,
+    totalMessages: 0,
+    modelUsage: { "claude-sonnet-4-5": { inputTokens, outputTokens: 0, costUSD } },
+  }));
+}
+
+const added = (calls, name) => (calls[name] || []).map((call) => call.value);
+
+test("adds the growth of each total since the last poll", () => {
+  const { instruments, calls } = createRecordingInstruments();
+  const collector = createTestCollector(instruments);
+
+  writeStats(10, 1000, 1.5);
+  collector.update();
+  writeStats(12, 1500, 2);
+  collector.update();
+
+  assert.deepEqual(added(calls, "sessionCounter"), [10, 2]);
+  assert.deepEqual(added(calls, "tokenCounter"), [1000, 500]);
+  assert.deepEqual(added(calls, "costCounter"), [1.5, 0.5]);
+  assert.equal(calls.resetCounter, undefined);
+});
+
+test("re-baselines a total that went down instead of adding to it", () => {
+  const { instruments, calls } = createRecordingInstruments();
+  const collector = createTestCollector(instruments);
+
+  writeStats(10, 1000, 1.5);
+  collector.update();
+  // Stats cache rebuilt from fewer transcripts
+  writeStats(4, 400, 0.5);
+  collector.update();
+
+  assert.deepEqual(added(calls, "sessionCounter"), [10]);
+  assert.deepEqual(added(calls, "tokenCounter"), [1000]);
+  assert.deepEqual(added(calls, "costCounter"), [1.5]);
+  assert.deepEqual(calls.resetCounter.map((call) => call.attributes).sort((a, b) => a.series.localeCompare(b.series)), [
+    { source: "vm", user: "dev", series: "cost:claude-sonnet-4-5:reported" },
+    { source: "vm", user: "dev", series: "session" },
+    { source: "vm", user: "dev", series: "token:claude-sonnet-4-5:input" },
+  ]);
+
+  // Growth from the new baseline counts again
+  writeStats(6, 700, 1);
+  collector.update();
+  assert.deepEqual(added(calls, "sessionCounter"), [10, 2]);
+  assert.deepEqual(added(calls, "tokenCounter"), [1000, 300]);
+  assert.deepEqual(added(calls, "costCounter"), [1.5, 0.5]);
+  assert.equal(calls.resetCounter.length, 3);
+});
+
+test("keeps the new baseline across a restart", () => {
+  const first = createRecordingInstruments();
+  const collector = createTestCollector(first.instruments);
+  writeStats(10, 1000, 1.5);
+  collector.update();
+  writeStats(4, 400, 0.5);
+  collector.update();
+
+  const { instruments, calls } = createRecordingInstruments();
+  const restarted = createTestCollector(instruments);
+  writeStats(5, 400, 0.5);
+  restarted.update();
+  assert.deepEqual(added(calls, "sessionCounter"), [1]);
+  assert.equal(calls.tokenCounter, undefined);
+  assert.equal(calls.resetCounter, undefined);
+});
+
+test("ignores float noise in cost totals", () => {
+  const { instruments, calls } = createRecordingInstruments();
+  const collector = createTestCollector(instruments);
+
+  writeStats(1, 100, 0.3);
+  collector.update();
+  writeStats(1, 100, 0.1 + 0.2 - 1e-12);
+  collector.update();
+
+  assert.deepEqual(added(calls, "costCounter"), [0.3]);
+  assert.equal(calls.resetCounter, undefined);
+});
@@ -0,0 +1,151 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadConfig, diffSettings } from "../src/config.js";
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "config-"));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function writeConfig(name, content) {
+  const path = join(dir, name);
+  writeFileSync(path, typeof content === "string" ? content : JSON.stringify(content));
+  return path;
+}
+
+test("uses the defaults without env vars or a config file", () => {
+  const { settings, metrics, redaction } = loadConfig("", {});
+  assert.equal(settings.pollInterval, 30000);
+  assert.equal(settings.activeTimeMode, "idle-gap");
+  assert.equal(settings.sessionIdAttribute, false);
+  assert.deepEqual(settings.metricsExporters, ["otlp"]);
+  assert.equal(settings.httpPort, null);
+  assert.deepEqual(metrics, {});
+  assert.deepEqual(redaction, []);
+});
+
+test("coerces env vars to the setting types", () => {
+  const { settings } = loadConfig("", {
+    POLL_INTERVAL: "60000",
+    ACTIVE_SESSION_HOURS: "0.5",
+    SESSION_ID_ATTRIBUTE: "true",
+    CLAUDE_DATA_ROOTS: "alice=/home/alice/.claude, bob@ci=/srv/bob/.claude,",
+    OTEL_METRICS_EXPORTER: "otlp,prometheus",
+    EXPORT_INTERVAL: "",
+  });
+  assert.equal(settings.pollInterval, 60000);
+  assert.equal(settings.activeSessionHours, 0.5);
+  assert.equal(settings.sessionIdAttribute, true);
+  assert.deepEqual(settings.claudeDataRoots, ["alice=/home/alice/.claude", "bob@ci=/srv/bob/.claude"]);
+  assert.deepEqual(settings.metricsExporters, ["otlp", "prometheus"]);
+  // Empty env vars count as unset
+  assert.equal(settings.exportInterval, 10000);
+});
+
+test("config file values override env vars", () => {
+  const path = writeConfig("config.yaml", [
+    "pollInterval: 120000",
+    "projectGitBranch: true",
+    "projectDenylist:",
+    "  - /tmp/**",
+    "resourceAttributes:",
+    "  team: platform",
+  ].join("\n"));
+  const { settings, resourceAttributes } = loadConfig(path, { POLL_INTERVAL: "60000", PROJECT_GIT_BRANCH: "false" });
+  assert.equal(settings.pollInterval, 120000);
+  assert.equal(settings.projectGitBranch, true);
+  assert.deepEqual(settings.projectDenylist, ["/tmp/**"]);
+  assert.deepEqual(resourceAttributes, { team: "platform" });
+});
+
+test("reports every invalid value in one error", () => {
+  const path = writeConfig("config.json", {
+    pollInterval: "60000",
+    watchMode: "inotify",
+    projectGitBranch: "yes",
+    pollIntervall: 60000,
+  });
+  assert.throws(
+    () => loadConfig(path, { EXPORT_INTERVAL: "500", HTTP_PORT: "http", OTEL_METRICS_EXPORTER: "otlp,zipkin" }),
+    (e) => {
+      assert.match(e.message, /^Invalid configuration \(.*config\.json\):/);
+      assert.match(e.message, /EXPORT_INTERVAL must be at least 1000 \(got 500\)/);
+      assert.match(e.message, /HTTP_PORT must be an integer \(got "http"\)/);
+      assert.match(e.message, /OTEL_METRICS_EXPORTER has unknown value\(s\) zipkin/);
+      // Numbers in the file must be numbers, not strings
+      assert.match(e.message, /pollInterval must be an integer \(got "60000"\)/);
+      assert.match(e.message, /watchMode must be one of auto, watch, poll \(got "inotify"\)/);
+      assert.match(e.message, /projectGitBranch must be true or false/);
+      assert.match(e.message, /pollIntervall: unknown setting/);
+      return true;
+    }
+  );
+});
+
+test("fails clearly on an unreadable config file", () => {
+  const path = writeConfig("config.json", "{ pollInterval: ");
+  assert.throws(() => loadConfig(path, {}), /^Error: Could not read config file .*config\.json/);
+  assert.throws(() => loadConfig(writeConfig("list.json", [1, 2]), {}), /must contain a mapping of settings/);
+});
+
+test("accepts toggles for the exporter's metrics only", () => {
+  const valid = writeConfig("valid.json", { metrics: { "claude.code.stats.tool.usage": false } });
+  assert.deepEqual(loadConfig(valid, {}).metrics, { "claude.code.stats.tool.usage": false });
+
+  const invalid = writeConfig("invalid.json", {
+    metrics: { "claude_code_stats_tool_usage": false, "claude.code.stats.token.usage": "off" },
+  });
+  assert.throws(() => loadConfig(invalid, {}), (e) => {
+    assert.match(e.message, /metrics\.claude_code_stats_tool_usage: not a metric of this exporter/);
+    assert.match(e.message, /metrics\.claude\.code\.stats\.token\.usage: must be true or false/);
+    return true;
+  });
+});
+
+test("validates redaction rules", () => {
+  const path = writeConfig("config.json", {
+    redaction: [
+      { action: "drop" },
+      { attribute: "project", action: "scramble" },
+      { attribute: "session_title", action: "truncate" },
+      { attribute: "directory", action: "mask", pattern: "(" },
+    ],
+  });
+  assert.throws(() => loadConfig(path, {}), (e) => {
+    assert.match(e.message, /redaction\[0\]: "attribute" must be an attribute name or a list of them/);
+    assert.match(e.message, /redaction\[1\]: "action" must be one of/);
+    assert.match(e.message, /redaction\[2\]: "truncate" needs a positive integer "length"/);
+    assert.match(e.message, /redaction\[3\]: invalid "pattern"/);
+    return true;
+  });
+});
+
+test("requires a salt for hash rules", () => {
+  const path = writeConfig("config.json", { redaction: [{ attribute: "project", action: "hash" }] });
+  assert.throws(() => loadConfig(path, {}), /redaction\[0\]: "hash" needs a salt/);
+  assert.equal(loadConfig(path, { REDACTION_SALT: "s3cret" }).redaction.length, 1);
+
+  const withSalt = writeConfig("salted.json", { redaction: [{ attribute: "project", action: "hash", salt: "s3cret" }] });
+  assert.equal(loadConfig(withSalt, {}).redaction.length, 1);
+});
+
+test("splits changed settings into reloadable and restart-only", () => {
+  const previous = loadConfig("", {});
+  const next = loadConfig(writeConfig("config.json", {
+    pollInterval: 60000,
+    logLevel: "debug",
+    exportInterval: 20000,
+    resourceAttributes: { team: "platform" },
+  }), {});
+  const { reloadable, restart } = diffSettings(previous, next);
+  assert.deepEqual(reloadable.sort(), ["logLevel", "pollInterval"]);
+  assert.deepEqual(restart.sort(), ["exportInterval", "resourceAttributes"]);
+});
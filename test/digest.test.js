@@ -0,0 +1,138 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, readFileSync, readdirSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createDigestScheduler, deliverDigest, parseSchedule, previousPeriod, renderDigest } from "../src/digest.js";
+import { createRedactor } from "../src/redaction.js";
+import { startWebhookServer } from "./helpers/webhook-server.js";
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "digest-"));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const digest = {
+  name: "root",
+  user: "dev",
+  instance: "vm",
+  period: "weekly",
+  format: "markdown",
+  from: "2025-06-02",
+  to: "2025-06-08",
+  text: "# Digest\n",
+};
+
+// Monday 2025-06-09, 09:00 local time
+const MONDAY_9AM = new Date(2025, 5, 9, 9, 0).getTime();
+
+test("parseSchedule matches cron fields in local time", () => {
+  const matches = parseSchedule("0 9 * * 1");
+  assert.equal(matches(new Date(MONDAY_9AM)), true);
+  assert.equal(matches(new Date(MONDAY_9AM + 60 * 1000)), false);
+  assert.equal(matches(new Date(MONDAY_9AM + 24 * 60 * 60 * 1000)), false);
+  assert.throws(() => parseSchedule("0 25 * * *"), /out of range/);
+});
+
+test("previousPeriod is the calendar week or month before", () => {
+  assert.deepEqual(previousPeriod("weekly", MONDAY_9AM), { from: "2025-06-02", to: "2025-06-08" });
+  assert.deepEqual(previousPeriod("monthly", MONDAY_9AM), { from: "2025-05-01", to: "2025-05-31" });
+});
+
+test("deliverDigest writes the file and posts the webhook", async () => {
+  const server = await startWebhookServer();
+  try {
+    await deliverDigest(digest, { dir, webhookUrl: server.url });
+    assert.deepEqual(readdirSync(dir), ["digest-root-2025-06-02_2025-06-08.md"]);
+    assert.equal(readFileSync(join(dir, "digest-root-2025-06-02_2025-06-08.md"), "utf8"), digest.text);
+    assert.equal(server.requests.length, 1);
+    assert.deepEqual(server.requests[0], {
+      user: "dev",
+      instance: "vm",
+      period: "weekly",
+      from: "2025-06-02",
+      to: "2025-06-08",
+      format: "markdown",
+      text: "# Digest\n",
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test("deliverDigest throws when the webhook fails", async () => {
+  const server = await startWebhookServer(() => 503);
+  try {
+    await assert.rejects(deliverDigest(digest, { webhookUrl: server.url }), /webhook returned 503/);
+  } finally {
+    await server.close();
+  }
+});
+
+test("a failed scheduled digest is retried, then sent only once", async () => {
+  const server = await startWebhookServer((n) => (n === 1 ? 500 : 200));
+  const stateFile = join(dir, ".exporter-digest.json");
+  const ranges = [];
+  const options = {
+    schedule: "0 9 * * 1",
+    period: "weekly",
+    stateFile,
+    run: async (range) => {
+      ranges.push(range);
+      await deliverDigest({ ...digest, ...range }, { webhookUrl: server.url });
+    },
+  };
+  try {
+    const scheduler = createDigestScheduler(options);
+    scheduler.load();
+    await scheduler.tick(MONDAY_9AM);
+    assert.equal(server.requests.length, 1);
+
+    // Next tick in the same scheduled minute
+    await scheduler.tick(MONDAY_9AM + 30 * 1000);
+    assert.equal(server.requests.length, 2);
+    await scheduler.tick(MONDAY_9AM + 45 * 1000);
+    assert.equal(server.requests.length, 2);
+
+    // A restart within the minute doesn't send it again
+    const restarted = createDigestScheduler(options);
+    restarted.load();
+    await restarted.tick(MONDAY_9AM + 50 * 1000);
+    assert.equal(server.requests.length, 2);
+    assert.deepEqual(ranges, [
+      { from: "2025-06-02", to: "2025-06-08" },
+      { from: "2025-06-02", to: "2025-06-08" },
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test("renderDigest redacts projects and sessions", () => {
+  const start = new Date(2025, 5, 3, 10, 0).getTime();
+  const report = {
+    from: "2025-06-02",
+    to: "2025-06-08",
+    models: {},
+    projects: {
+      "/work/acme/api": { sessions: 1, messages: 2, toolCalls: 0, tokens: 100, cost: 0, activeSeconds: 60 },
+    },
+    sessions: [{ sessionId: "session-1", project: "/work/acme/api", start, end: start + 60 * 1000 }],
+    activeByHour: new Array(24).fill(0),
+    unpricedModels: [],
+    days: [],
+  };
+  const redact = createRedactor([{ attribute: "session_id", action: "drop" }], {
+    aliases: [["/work/acme", "client-a"]],
+  });
+
+  const text = renderDigest(report, { title: "root", format: "markdown", redact });
+  assert.match(text, /\| client-a\/api \| 1 \|/);
+  assert.match(text, /\| client-a\/api \| \(redacted\) \|/);
+  assert.doesNotMatch(text, /\/work\/acme|session-1/);
+});
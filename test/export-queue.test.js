@@ -0,0 +1,131 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, readdirSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { ExportResultCode } from "@opentelemetry/core";
+import { Resource } from "@opentelemetry/resources";
+import { createExportQueue } from "../src/export-queue.js";
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "export-queue-"));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function createQueue(options = {}) {
+  const queue = createExportQueue({ dir, maxBytes: 1024 * 1024, maxAgeMs: 60 * 60 * 1000, ...options });
+  queue.load();
+  return queue;
+}
+
+// Stands in for the OTLP exporter: records the batches it delivers while up
+function createFakeExporter() {
+  const exporter = {
+    up: false,
+    sent: [],
+    resources: [],
+    export(metrics, resultCallback) {
+      if (!exporter.up) {
+        resultCallback({ code: ExportResultCode.FAILED, error: new Error("connect ECONNREFUSED") });
+        return;
+      }
+      exporter.sent.push(metrics.scopeMetrics[0].batch);
+      exporter.resources.push(metrics.resource.attributes);
+      resultCallback({ code: ExportResultCode.SUCCESS });
+    },
+  };
+  return exporter;
+}
+
+function batch(number) {
+  return {
+    resource: new Resource({ "service.name": "claude-code-stats-exporter" }),
+    scopeMetrics: [{ batch: number }],
+  };
+}
+
+function exportBatch(exporter, metrics) {
+  return new Promise((resolve) => exporter.export(metrics, resolve));
+}
+
+test("sends batches straight through while the collector is up", async () => {
+  const queue = createQueue();
+  const exporter = queue.attach(createFakeExporter());
+  exporter.up = true;
+
+  const result = await exportBatch(exporter, batch(1));
+  assert.equal(result.code, ExportResultCode.SUCCESS);
+  assert.deepEqual(exporter.sent, [1]);
+  assert.equal(queue.depth(), 0);
+});
+
+test("replays failed batches oldest first, ahead of newer ones", async () => {
+  const queue = createQueue();
+  const exporter = queue.attach(createFakeExporter());
+
+  assert.equal((await exportBatch(exporter, batch(1))).code, ExportResultCode.FAILED);
+  assert.equal((await exportBatch(exporter, batch(2))).code, ExportResultCode.FAILED);
+  assert.equal(queue.depth(), 2);
+
+  exporter.up = true;
+  const result = await exportBatch(exporter, batch(3));
+  assert.equal(result.code, ExportResultCode.SUCCESS);
+  assert.deepEqual(exporter.sent, [1, 2, 3]);
+  assert.equal(queue.depth(), 0);
+  assert.deepEqual(readdirSync(dir), []);
+});
+
+test("replays batches queued before a restart, with their resource", async () => {
+  const before = createQueue().attach(createFakeExporter());
+  await exportBatch(before, batch(1));
+
+  const queue = createQueue();
+  assert.equal(queue.depth(), 1);
+  const exporter = queue.attach(createFakeExporter());
+  exporter.up = true;
+  await exportBatch(exporter, batch(2));
+
+  assert.deepEqual(exporter.sent, [1, 2]);
+  assert.deepEqual(exporter.resources[0], { "service.name": "claude-code-stats-exporter" });
+});
+
+test("drops the oldest batches over the size cap", async () => {
+  const batchBytes = JSON.stringify({ resource: batch(1).resource.attributes, scopeMetrics: batch(1).scopeMetrics }).length;
+  const queue = createQueue({ maxBytes: batchBytes * 2.5 });
+  const exporter = queue.attach(createFakeExporter());
+
+  for (const number of [1, 2, 3, 4]) await exportBatch(exporter, batch(number));
+  assert.equal(queue.depth(), 2);
+
+  // The new batch joins the backlog, pushing out the oldest left
+  exporter.up = true;
+  await exportBatch(exporter, batch(5));
+  assert.deepEqual(exporter.sent, [4, 5]);
+});
+
+test("discards batches older than the age cap on load", () => {
+  const old = Date.now() - 2 * 60 * 60 * 1000;
+  writeFileSync(join(dir, `${String(old).padStart(13, "0")}-000000.json`), JSON.stringify({ resource: {}, scopeMetrics: [] }));
+
+  const queue = createQueue();
+  assert.equal(queue.depth(), 0);
+  assert.deepEqual(readdirSync(dir), []);
+});
+
+test("drops an unreadable queued batch and replays the rest", async () => {
+  writeFileSync(join(dir, `${String(Date.now()).padStart(13, "0")}-000000.json`), "{ truncated");
+
+  const queue = createQueue();
+  const exporter = queue.attach(createFakeExporter());
+  exporter.up = true;
+  const result = await exportBatch(exporter, batch(1));
+
+  assert.equal(result.code, ExportResultCode.SUCCESS);
+  assert.deepEqual(exporter.sent, [1]);
+  assert.equal(queue.depth(), 0);
+});
@@ -0,0 +1,31 @@
+import { createServer } from "http";
+
+/**
+ * Local webhook endpoint recording the JSON body of every POST. status(n) picks
+ * the response status for the nth request (200 by default).
+ */
+export async function startWebhookServer(status = () => 200) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push(JSON.parse(body));
+      res.writeHead(status(requests.length));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((resolve) => {
+      // fetch keeps connections alive, which would hold close() up
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
@@ -0,0 +1,113 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createRedactor, loadProjectAliases } from "../src/redaction.js";
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "redaction-"));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const attributes = {
+  user: "alice",
+  project: "/home/alice/clients/acme/api",
+  directory: "/home/alice/clients/acme/api/src",
+  session_title: "Fix the login redirect for acme.com",
+};
+
+test("passes attributes through without rules or aliases", () => {
+  const redact = createRedactor();
+  assert.equal(redact(attributes), attributes);
+});
+
+test("drops and truncates attributes", () => {
+  const redact = createRedactor([
+    { attribute: "directory", action: "drop" },
+    { attribute: "session_title", action: "truncate", length: 9 },
+  ]);
+  assert.deepEqual(redact(attributes), {
+    user: "alice",
+    project: "/home/alice/clients/acme/api",
+    session_title: "Fix the l",
+  });
+  // The input is left as it was
+  assert.equal(attributes.directory, "/home/alice/clients/acme/api/src");
+});
+
+test("hashes values with the salt, stable across calls", () => {
+  const redact = createRedactor([{ attribute: ["project", "session_title"], action: "hash" }], { salt: "s3cret" });
+  const first = redact(attributes);
+  assert.match(first.project, /^[0-9a-f]{16}$/);
+  assert.match(first.session_title, /^[0-9a-f]{16}$/);
+  assert.equal(redact(attributes).project, first.project);
+
+  const otherSalt = createRedactor([{ attribute: "project", action: "hash" }], { salt: "other" });
+  assert.notEqual(otherSalt(attributes).project, first.project);
+  // A rule's own salt wins over the global one
+  const ruleSalt = createRedactor([{ attribute: "project", action: "hash", salt: "other" }], { salt: "s3cret" });
+  assert.equal(ruleSalt(attributes).project, otherSalt(attributes).project);
+  // Empty values stay empty
+  assert.equal(redact({ session_title: "" }).session_title, "");
+});
+
+test("masks every match of the pattern", () => {
+  const redact = createRedactor([
+    { attribute: "session_title", action: "mask", pattern: "acme" },
+    { attribute: "directory", action: "mask", pattern: "/home/[^/]+", replacement: "~" },
+  ]);
+  const redacted = redact({ ...attributes, session_title: "acme: move acme.com to acme.io" });
+  assert.equal(redacted.session_title, "***: move ***.com to ***.io");
+  assert.equal(redacted.directory, "~/clients/acme/api/src");
+});
+
+test("applies rules in order", () => {
+  const redact = createRedactor([
+    { attribute: "session_title", action: "truncate", length: 13 },
+    { attribute: "session_title", action: "mask", pattern: "login", replacement: "x" },
+  ]);
+  assert.equal(redact(attributes).session_title, "Fix the x");
+});
+
+test("aliases project paths by the longest matching prefix, before the rules", () => {
+  const aliases = [
+    ["/home/alice/clients/acme", "client-a"],
+    ["/home/alice/clients", "clients"],
+  ];
+  const redact = createRedactor([{ attribute: "directory", action: "truncate", length: 12 }], { aliases });
+  const redacted = redact({ ...attributes, user: "/home/alice/clients/acme" });
+  assert.equal(redacted.project, "client-a/api");
+  assert.equal(redacted.directory, "client-a/api");
+  // Only path attributes are aliased
+  assert.equal(redacted.user, "/home/alice/clients/acme");
+
+  assert.equal(redact({ project: "/home/alice/clients/acme" }).project, "client-a");
+  assert.equal(redact({ project: "/home/alice/clients/acme-web" }).project, "clients/acme-web");
+  assert.equal(redact({ project: "/work/other" }).project, "/work/other");
+});
+
+test("loads project aliases from YAML or JSON, longest path first", () => {
+  const yamlPath = join(dir, "aliases.yaml");
+  writeFileSync(yamlPath, "/work: work\n/work/secret-project/: internal\n");
+  assert.deepEqual(loadProjectAliases(yamlPath), [["/work/secret-project", "internal"], ["/work", "work"]]);
+
+  const jsonPath = join(dir, "aliases.json");
+  writeFileSync(jsonPath, JSON.stringify({ "/home/alice/clients/acme": "client-a" }));
+  assert.deepEqual(loadProjectAliases(jsonPath), [["/home/alice/clients/acme", "client-a"]]);
+});
+
+test("rejects project aliases that aren't a mapping of strings", () => {
+  const listPath = join(dir, "list.json");
+  writeFileSync(listPath, JSON.stringify(["/work"]));
+  assert.throws(() => loadProjectAliases(listPath), /must be a mapping of path to alias/);
+
+  const numberPath = join(dir, "number.yaml");
+  writeFileSync(numberPath, "/work: 1\n");
+  assert.throws(() => loadProjectAliases(numberPath), /alias for \/work must be a string/);
+});
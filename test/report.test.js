@@ -0,0 +1,67 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { buildReport } from "../src/report.js";
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "report-"));
+  mkdirSync(join(dir, "projects", "-work-app", "s1", "subagents"), { recursive: true });
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const MONDAY = new Date(2025, 5, 2, 10, 0).getTime();
+const MINUTE = 60 * 1000;
+
+function prompts(file, times) {
+  writeFileSync(join(dir, "projects", "-work-app", file), times.map((time) => JSON.stringify({
+    type: "user",
+    sessionId: "s1",
+    cwd: "/work/app",
+    timestamp: new Date(time).toISOString(),
+    message: { role: "user", content: "go on" },
+  }) + "\n").join(""));
+}
+
+function report(sessionTimeoutSeconds) {
+  return buildReport({
+    dataDir: dir,
+    stats: null,
+    from: "2025-06-01",
+    to: "2025-06-08",
+    pricing: {},
+    idleThresholdSeconds: 300,
+    sessionTimeoutSeconds,
+  });
+}
+
+test("a conversation picked up after the session timeout is a new session", () => {
+  const friday = MONDAY + 4 * 24 * 60 * MINUTE;
+  prompts("s1.jsonl", [MONDAY, MONDAY + 2 * MINUTE, friday, friday + 3 * MINUTE]);
+
+  const split = report(30 * 60);
+  assert.deepEqual(split.sessions.map((session) => (session.end - session.start) / MINUTE), [3, 2]);
+  assert.equal(split.projects["/work/app"].sessions, 2);
+  assert.equal(split.projects["/work/app"].activeSeconds, 5 * 60);
+
+  const whole = report(0);
+  assert.equal(whole.sessions.length, 1);
+  assert.equal(whole.projects["/work/app"].sessions, 1);
+});
+
+test("active time interleaves a session's main and subagent transcripts by time", () => {
+  // The main transcript alone has a gap over the idle threshold
+  prompts("s1.jsonl", [MONDAY, MONDAY + 10 * MINUTE]);
+  prompts("s1/subagents/agent-a.jsonl", [2, 4, 6, 8].map((minutes) => MONDAY + minutes * MINUTE));
+
+  const result = report(30 * 60);
+  assert.equal(result.projects["/work/app"].activeSeconds, 10 * 60);
+  assert.equal(result.sessions.length, 1);
+  assert.equal(result.activeByHour[10], 10 * 60);
+});
@@ -0,0 +1,134 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, readdirSync, readFileSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createStateStore, STATE_VERSION } from "../src/state-store.js";
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "state-store-"));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function writeState(name, content) {
+  writeFileSync(join(dir, name), typeof content === "string" ? content : JSON.stringify(content));
+}
+
+function readSnapshot() {
+  return JSON.parse(readFileSync(join(dir, ".exporter-state.json"), "utf8"));
+}
+
+const activeTime = { cumulativeSeconds: 120, lastPollTime: 1760000000000, sessionLastEvent: { "-work-app": 1760000000000 } };
+const transcripts = {
+  files: { "-work-app/s1.jsonl": { offset: 2048, project: "/work/app" } },
+  seenMessages: ["msg_1:req_1"],
+  seenToolUses: ["toolu_1"],
+};
+const openSessions = { s1: { start: 1760000000000, last: 1760000060000, turns: 2 } };
+const pendingToolCalls = { toolu_2: { tool: "Bash", start: 1760000050000 } };
+
+test("returns null without any state", () => {
+  assert.equal(createStateStore({ dir }).load(), null);
+});
+
+test("saves and loads a snapshot", () => {
+  const store = createStateStore({ dir });
+  const state = {
+    activeTime,
+    seenConversationIds: ["-work-app/s1.jsonl", "-work-app/s1/subagents/agent-a.jsonl", "-work-lib/s2.jsonl"],
+    exportedTotals: { metrics: { "tokens:input": 100 }, activeTimeSeconds: 120 },
+    cacheUsage: {},
+    transcripts,
+    openSessions,
+    pendingToolCalls,
+  };
+  assert.equal(store.save(state), true);
+
+  const snapshot = readSnapshot();
+  assert.equal(snapshot.version, STATE_VERSION);
+  // Conversation IDs are stored grouped by project
+  assert.deepEqual(snapshot.seenConversations, { "-work-app": ["s1", "s1/subagents/agent-a"], "-work-lib": ["s2"] });
+  assert.deepEqual(createStateStore({ dir }).load(), state);
+});
+
+test("migrates the version 0 state files and removes them after the first save", () => {
+  writeState(".exporter-active-time.json", activeTime);
+  writeState(".exporter-seen-conversations.json", { ids: ["-work-app/s1.jsonl"] });
+  writeState(".exporter-exported-totals.json", { metrics: { "tokens:input": 100 } });
+  writeState(".exporter-transcript-offsets.json", { files: transcripts.files });
+  writeState(".exporter-sessions.json", { open: openSessions });
+  writeState(".exporter-tool-calls.json", { pending: pendingToolCalls });
+
+  const store = createStateStore({ dir });
+  const state = store.load();
+  assert.deepEqual(state.activeTime, activeTime);
+  assert.deepEqual(state.seenConversationIds, ["-work-app/s1.jsonl"]);
+  assert.deepEqual(state.exportedTotals, { metrics: { "tokens:input": 100 }, activeTimeSeconds: 0 });
+  assert.deepEqual(state.cacheUsage, {});
+  assert.deepEqual(state.transcripts, { files: transcripts.files, seenMessages: [], seenToolUses: [] });
+  assert.deepEqual(state.openSessions, openSessions);
+  assert.deepEqual(state.pendingToolCalls, pendingToolCalls);
+
+  // The old files stay until the snapshot replacing them is written
+  assert.equal(readdirSync(dir).length, 6);
+  store.save(state);
+  assert.deepEqual(readdirSync(dir), [".exporter-state.json"]);
+  assert.deepEqual(createStateStore({ dir }).load(), state);
+});
+
+test("folds the version 1 separate files into the snapshot", () => {
+  writeState(".exporter-state.json", {
+    version: 1,
+    activeTime,
+    seenConversations: { "-work-app": ["s1"] },
+    exportedTotals: null,
+    cacheUsage: {},
+  });
+  writeState(".exporter-transcript-offsets.json", transcripts);
+  writeState(".exporter-sessions.json", { open: openSessions });
+  writeState(".exporter-tool-calls.json", { pending: pendingToolCalls });
+
+  const store = createStateStore({ dir });
+  const state = store.load();
+  assert.deepEqual(state.activeTime, activeTime);
+  assert.deepEqual(state.seenConversationIds, ["-work-app/s1.jsonl"]);
+  assert.deepEqual(state.transcripts, transcripts);
+  assert.deepEqual(state.openSessions, openSessions);
+  assert.deepEqual(state.pendingToolCalls, pendingToolCalls);
+
+  store.save(state);
+  assert.deepEqual(readdirSync(dir), [".exporter-state.json"]);
+  assert.equal(readSnapshot().version, STATE_VERSION);
+});
+
+test("an unreadable version 1 file only loses its own part", () => {
+  writeState(".exporter-state.json", { version: 1, activeTime, seenConversations: {}, exportedTotals: null });
+  writeState(".exporter-transcript-offsets.json", "{ \"files\": ");
+  writeState(".exporter-sessions.json", { open: openSessions });
+
+  const state = createStateStore({ dir }).load();
+  assert.equal(state.transcripts, null);
+  assert.deepEqual(state.openSessions, openSessions);
+  assert.deepEqual(state.pendingToolCalls, {});
+  assert.deepEqual(state.activeTime, activeTime);
+});
+
+test("starts fresh from an unreadable snapshot", () => {
+  writeState(".exporter-state.json", "{ \"version\": 2, ");
+  assert.equal(createStateStore({ dir }).load(), null);
+});
+
+test("refuses a snapshot from a newer exporter", () => {
+  writeState(".exporter-state.json", { version: STATE_VERSION + 1 });
+  assert.throws(() => createStateStore({ dir }).load(), new RegExp(`has version ${STATE_VERSION + 1}, this exporter supports up to ${STATE_VERSION}`));
+});
+
+test("reports a failed save without throwing", () => {
+  const store = createStateStore({ dir: join(dir, "missing") });
+  assert.equal(store.save({ activeTime, seenConversationIds: [], exportedTotals: null, cacheUsage: {} }), false);
+});
@@ -0,0 +1,147 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, appendFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createTranscriptReader } from "../src/transcripts.js";
+
+let dir;
+let projectDir;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "transcripts-"));
+  projectDir = join(dir, "projects", "-work-app");
+  mkdirSync(projectDir, { recursive: true });
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// A reader starting from what an earlier one saved (through a JSON round trip, as in the state file)
+function createReader(previous = null) {
+  const reader = createTranscriptReader({ projectsDir: join(dir, "projects") });
+  reader.load(previous && JSON.parse(JSON.stringify(previous.snapshot())));
+  return reader;
+}
+
+function assistant(id, requestId, text = "") {
+  return JSON.stringify({
+    type: "assistant",
+    sessionId: "s1",
+    requestId,
+    cwd: "/work/app",
+    message: { id, model: "claude-sonnet-4-5", content: [{ type: "text", text }], usage: { input_tokens: 10, output_tokens: 5 } },
+  }) + "\n";
+}
+
+function user(text) {
+  return JSON.stringify({ type: "user", sessionId: "s1", cwd: "/work/app", message: { role: "user", content: text } }) + "\n";
+}
+
+// [type, message id or prompt, duplicate] of the entries read by one poll
+function poll(reader) {
+  const entries = [];
+  reader.poll((entry, context) => {
+    entries.push([entry.type, entry.type === "user" ? entry.message.content : entry.message.id, context.duplicate]);
+  });
+  return entries;
+}
+
+test("reads only the lines appended since the last poll, across restarts", () => {
+  const file = join(projectDir, "s1.jsonl");
+  writeFileSync(file, user("one") + assistant("m1", "r1"));
+  const reader = createReader();
+  assert.deepEqual(poll(reader), [["user", "one", false], ["assistant", "m1", false]]);
+  assert.deepEqual(poll(reader), []);
+
+  appendFileSync(file, user("two"));
+  assert.deepEqual(poll(reader), [["user", "two", false]]);
+
+  appendFileSync(file, user("three"));
+  assert.deepEqual(poll(createReader(reader)), [["user", "three", false]]);
+});
+
+test("leaves a partial last line for the next poll", () => {
+  const file = join(projectDir, "s1.jsonl");
+  const line = user("hello");
+  writeFileSync(file, user("first") + line.slice(0, 10));
+  const reader = createReader();
+  assert.deepEqual(poll(reader), [["user", "first", false]]);
+
+  appendFileSync(file, line.slice(10));
+  assert.deepEqual(poll(reader), [["user", "hello", false]]);
+});
+
+test("reads a transcript that shrank again from the start", () => {
+  const file = join(projectDir, "s1.jsonl");
+  writeFileSync(file, user("one") + user("two") + user("three"));
+  const reader = createReader();
+  assert.equal(poll(reader).length, 3);
+
+  writeFileSync(file, user("rewritten"));
+  assert.deepEqual(poll(reader), [["user", "rewritten", false]]);
+});
+
+test("marks the repeated lines of a response as duplicates", () => {
+  writeFileSync(join(projectDir, "s1.jsonl"), assistant("m1", "r1", "a") + assistant("m1", "r1", "b") + assistant("m2", "r2"));
+  assert.deepEqual(poll(createReader()), [
+    ["assistant", "m1", false],
+    ["assistant", "m1", true],
+    ["assistant", "m2", false],
+  ]);
+});
+
+test("marks responses replayed into another transcript as duplicates, across restarts", () => {
+  writeFileSync(join(projectDir, "s1.jsonl"), assistant("m1", "r1") + assistant("m2", "r2"));
+  const reader = createReader();
+  poll(reader);
+
+  // A resumed session starts its transcript with the earlier conversation
+  writeFileSync(join(projectDir, "s2.jsonl"), assistant("m1", "r1") + assistant("m2", "r2") + assistant("m3", "r3"));
+  assert.deepEqual(poll(createReader(reader)), [
+    ["assistant", "m1", true],
+    ["assistant", "m2", true],
+    ["assistant", "m3", false],
+  ]);
+});
+
+test("passes each tool call once, on later lines of a response but not in a replay", () => {
+  const toolUse = (messageId, toolUseId) => JSON.stringify({
+    type: "assistant",
+    sessionId: "s1",
+    requestId: "r1",
+    message: { id: messageId, model: "claude-sonnet-4-5", content: [{ type: "tool_use", id: toolUseId, name: "Bash", input: {} }] },
+  }) + "\n";
+  const toolUseIds = (reader) => {
+    const ids = [];
+    reader.poll((entry, context) => ids.push(context.toolUses.map((tool) => tool.id)));
+    return ids;
+  };
+
+  writeFileSync(join(projectDir, "s1.jsonl"), toolUse("m1", "tu1") + toolUse("m1", "tu2"));
+  const reader = createReader();
+  assert.deepEqual(toolUseIds(reader), [["tu1"], ["tu2"]]);
+
+  writeFileSync(join(projectDir, "s2.jsonl"), toolUse("m1", "tu1") + toolUse("m1", "tu2") + toolUse("m2", "tu3"));
+  assert.deepEqual(toolUseIds(createReader(reader)), [[], [], ["tu3"]]);
+});
+
+test("skips malformed and non-object lines", () => {
+  writeFileSync(join(projectDir, "s1.jsonl"), "{not json\nnull\n42\n[1,2]\n\n" + user("ok"));
+  const reader = createReader();
+  assert.deepEqual(poll(reader), [["user", "ok", false]]);
+  assert.deepEqual(poll(reader), []);
+});
+
+test("a line that makes the handler throw isn't read again", () => {
+  writeFileSync(join(projectDir, "s1.jsonl"), user("one") + user("boom") + user("three"));
+  const reader = createReader();
+  const seen = [];
+  reader.poll((entry) => {
+    seen.push(entry.message.content);
+    if (entry.message.content === "boom") throw new Error("handler failed");
+  });
+  assert.deepEqual(seen, ["one", "boom"]);
+  assert.deepEqual(poll(reader), [["user", "three", false]]);
+});